@@ -0,0 +1,417 @@
+/**
+ * A/B测试统计引擎
+ * 提供比例检验、均值检验和置信区间计算
+ * 供A/B测试框架根据真实采集的事件计算实验结果
+ */
+
+class ABStatistics {
+    /**
+     * 计算均值
+     * @param {number[]} values - 样本值
+     * @returns {number} 均值
+     */
+    static mean(values) {
+        if (!values.length) return 0;
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    /**
+     * 计算样本方差（无偏估计）
+     * @param {number[]} values - 样本值
+     * @returns {number} 方差
+     */
+    static variance(values) {
+        if (values.length < 2) return 0;
+        const mean = ABStatistics.mean(values);
+        const squared = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0);
+        return squared / (values.length - 1);
+    }
+
+    /**
+     * 标准正态分布累积分布函数
+     * 使用Abramowitz-Stegun 7.1.26近似，误差小于1.5e-7
+     */
+    static normalCdf(z) {
+        const sign = z < 0 ? -1 : 1;
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-x * x);
+        return 0.5 * (1 + sign * erf);
+    }
+
+    /**
+     * 标准正态分布分位数函数（Acklam算法）
+     * @param {number} p - 概率，范围(0, 1)
+     */
+    static normalQuantile(p) {
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+            1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+            6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+            -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+            3.754408661907416e+00];
+        const pLow = 0.02425;
+
+        if (p < pLow) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - pLow) {
+            const q = Math.sqrt(-2 * Math.log(1 - p));
+            return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * 对数伽马函数（Lanczos近似）
+     */
+    static logGamma(x) {
+        const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+        let y = x;
+        const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+        let series = 1.000000000190015;
+        coefficients.forEach(coefficient => {
+            series += coefficient / ++y;
+        });
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    }
+
+    /**
+     * 正则化不完全Beta函数 I_x(a, b)
+     */
+    static incompleteBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+
+        const front = Math.exp(
+            ABStatistics.logGamma(a + b) - ABStatistics.logGamma(a) - ABStatistics.logGamma(b) +
+            a * Math.log(x) + b * Math.log(1 - x)
+        );
+
+        // 利用对称性保证连分式收敛
+        if (x < (a + 1) / (a + b + 2)) {
+            return front * ABStatistics.betaContinuedFraction(x, a, b) / a;
+        }
+        return 1 - front * ABStatistics.betaContinuedFraction(1 - x, b, a) / b;
+    }
+
+    /**
+     * 不完全Beta函数的连分式展开（Lentz算法）
+     */
+    static betaContinuedFraction(x, a, b) {
+        const maxIterations = 200;
+        const epsilon = 3e-14;
+        const tiny = 1e-300;
+
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        if (Math.abs(d) < tiny) d = tiny;
+        d = 1 / d;
+        let result = d;
+
+        for (let m = 1; m <= maxIterations; m++) {
+            const m2 = 2 * m;
+            let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 + aa * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + aa / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            result *= d * c;
+
+            aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 + aa * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + aa / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            result *= delta;
+
+            if (Math.abs(delta - 1) < epsilon) break;
+        }
+
+        return result;
+    }
+
+    /**
+     * Student t分布累积分布函数
+     * @param {number} t - t统计量
+     * @param {number} df - 自由度
+     */
+    static tCdf(t, df) {
+        if (!isFinite(df) || df <= 0) return ABStatistics.normalCdf(t);
+        const tail = 0.5 * ABStatistics.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+        return t >= 0 ? 1 - tail : tail;
+    }
+
+    /**
+     * Student t分布分位数（二分法求解）
+     */
+    static tQuantile(p, df) {
+        if (!isFinite(df) || df <= 0) return ABStatistics.normalQuantile(p);
+
+        let low = -1000;
+        let high = 1000;
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (ABStatistics.tCdf(mid, df) < p) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * 比例的Wilson置信区间
+     * @param {number} successes - 成功次数
+     * @param {number} trials - 试验次数
+     * @param {number} confidenceLevel - 置信水平
+     * @returns {{lower: number, upper: number}}
+     */
+    static proportionConfidenceInterval(successes, trials, confidenceLevel = 0.95) {
+        if (trials === 0) return { lower: 0, upper: 0 };
+
+        const z = ABStatistics.normalQuantile(1 - (1 - confidenceLevel) / 2);
+        const p = successes / trials;
+        const denominator = 1 + z * z / trials;
+        const center = (p + z * z / (2 * trials)) / denominator;
+        const margin = z * Math.sqrt(p * (1 - p) / trials + z * z / (4 * trials * trials)) / denominator;
+
+        return {
+            lower: Math.max(0, center - margin),
+            upper: Math.min(1, center + margin)
+        };
+    }
+
+    /**
+     * 均值的t置信区间
+     * @param {number[]} values - 样本值
+     * @param {number} confidenceLevel - 置信水平
+     * @returns {{lower: number, upper: number}}
+     */
+    static meanConfidenceInterval(values, confidenceLevel = 0.95) {
+        const mean = ABStatistics.mean(values);
+        if (values.length < 2) return { lower: mean, upper: mean };
+
+        const standardError = Math.sqrt(ABStatistics.variance(values) / values.length);
+        const t = ABStatistics.tQuantile(1 - (1 - confidenceLevel) / 2, values.length - 1);
+
+        return {
+            lower: mean - t * standardError,
+            upper: mean + t * standardError
+        };
+    }
+
+    /**
+     * 双比例z检验（双侧）
+     * @param {number} successesA - 对照组成功次数
+     * @param {number} trialsA - 对照组样本量
+     * @param {number} successesB - 实验组成功次数
+     * @param {number} trialsB - 实验组样本量
+     * @param {number} confidenceLevel - 差值置信区间的置信水平
+     * @returns {Object} 检验结果
+     */
+    static twoProportionZTest(successesA, trialsA, successesB, trialsB, confidenceLevel = 0.95) {
+        const result = {
+            test: 'two-proportion-z',
+            rateA: trialsA ? successesA / trialsA : 0,
+            rateB: trialsB ? successesB / trialsB : 0,
+            difference: 0,
+            relativeLift: null,
+            statistic: 0,
+            pValue: 1,
+            differenceInterval: { lower: 0, upper: 0 }
+        };
+        result.difference = result.rateB - result.rateA;
+        result.relativeLift = result.rateA ? result.difference / result.rateA : null;
+
+        if (!trialsA || !trialsB) return result;
+
+        // 合并比例下的标准误用于检验统计量
+        const pooled = (successesA + successesB) / (trialsA + trialsB);
+        const pooledError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+        if (pooledError > 0) {
+            result.statistic = result.difference / pooledError;
+            result.pValue = 2 * (1 - ABStatistics.normalCdf(Math.abs(result.statistic)));
+        }
+
+        // 非合并标准误用于差值置信区间
+        const unpooledError = Math.sqrt(
+            result.rateA * (1 - result.rateA) / trialsA +
+            result.rateB * (1 - result.rateB) / trialsB
+        );
+        const z = ABStatistics.normalQuantile(1 - (1 - confidenceLevel) / 2);
+        result.differenceInterval = {
+            lower: result.difference - z * unpooledError,
+            upper: result.difference + z * unpooledError
+        };
+
+        return result;
+    }
+
+    /**
+     * Welch t检验（双侧，不假设方差相等）
+     * @param {number[]} valuesA - 对照组样本
+     * @param {number[]} valuesB - 实验组样本
+     * @param {number} confidenceLevel - 差值置信区间的置信水平
+     * @returns {Object} 检验结果
+     */
+    static welchTTest(valuesA, valuesB, confidenceLevel = 0.95) {
+        const meanA = ABStatistics.mean(valuesA);
+        const meanB = ABStatistics.mean(valuesB);
+        const result = {
+            test: 'welch-t',
+            meanA,
+            meanB,
+            difference: meanB - meanA,
+            relativeLift: meanA ? (meanB - meanA) / meanA : null,
+            statistic: 0,
+            degreesOfFreedom: 0,
+            pValue: 1,
+            differenceInterval: { lower: meanB - meanA, upper: meanB - meanA }
+        };
+
+        if (valuesA.length < 2 || valuesB.length < 2) return result;
+
+        const varianceA = ABStatistics.variance(valuesA) / valuesA.length;
+        const varianceB = ABStatistics.variance(valuesB) / valuesB.length;
+        const standardError = Math.sqrt(varianceA + varianceB);
+        if (standardError === 0) return result;
+
+        // Welch-Satterthwaite自由度
+        const df = Math.pow(varianceA + varianceB, 2) / (
+            Math.pow(varianceA, 2) / (valuesA.length - 1) +
+            Math.pow(varianceB, 2) / (valuesB.length - 1)
+        );
+
+        result.statistic = result.difference / standardError;
+        result.degreesOfFreedom = df;
+        result.pValue = 2 * (1 - ABStatistics.tCdf(Math.abs(result.statistic), df));
+
+        const t = ABStatistics.tQuantile(1 - (1 - confidenceLevel) / 2, df);
+        result.differenceInterval = {
+            lower: result.difference - t * standardError,
+            upper: result.difference + t * standardError
+        };
+
+        return result;
+    }
+
+    /**
+     * 混合序贯概率比检验（mSPRT）
+     * 在标准化效应量上使用N(0, tau²)混合先验，得到任意时刻查看都有效的p值，
+     * 因此运行中的实验可以反复查看结果而不会抬高假阳性率
+     * @param {number} difference - 两组差值（实验组 - 对照组）
+     * @param {number} pooledSd - 单个观测的合并标准差
+     * @param {number} nA - 对照组样本量
+     * @param {number} nB - 实验组样本量
+     * @param {number} tau - 混合先验的标准化效应量
+     * @returns {{likelihoodRatio: number, pValue: number}}
+     */
+    static mSPRT(difference, pooledSd, nA, nB, tau = 0.1) {
+        if (!nA || !nB || !(pooledSd > 0)) {
+            return { likelihoodRatio: 1, pValue: 1 };
+        }
+
+        const effect = difference / pooledSd;
+        const v = 1 / nA + 1 / nB;
+        const tau2 = tau * tau;
+        const logRatio = 0.5 * Math.log(v / (v + tau2)) + (tau2 * effect * effect) / (2 * v * (v + tau2));
+        const likelihoodRatio = Math.exp(logRatio);
+
+        return {
+            likelihoodRatio,
+            pValue: Math.min(1, 1 / likelihoodRatio)
+        };
+    }
+
+    /**
+     * 两组比例的合并标准差
+     */
+    static pooledProportionSd(successesA, trialsA, successesB, trialsB) {
+        if (!trialsA || !trialsB) return 0;
+        const pooled = (successesA + successesB) / (trialsA + trialsB);
+        return Math.sqrt(pooled * (1 - pooled));
+    }
+
+    /**
+     * 两组连续样本的合并标准差
+     */
+    static pooledSd(valuesA, valuesB) {
+        const degrees = valuesA.length + valuesB.length - 2;
+        if (degrees <= 0) return 0;
+        return Math.sqrt((
+            ABStatistics.variance(valuesA) * (valuesA.length - 1) +
+            ABStatistics.variance(valuesB) * (valuesB.length - 1)
+        ) / degrees);
+    }
+
+    /**
+     * 标准正态随机数（Box-Muller变换）
+     */
+    static sampleNormal(random = Math.random) {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Gamma分布随机数（Marsaglia-Tsang方法）
+     * @param {number} shape - 形状参数
+     */
+    static sampleGamma(shape, random = Math.random) {
+        if (shape < 1) {
+            // 形状参数小于1时利用 Gamma(a) = Gamma(a + 1) * U^(1/a)
+            return ABStatistics.sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+        }
+
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            let x;
+            let v;
+            do {
+                x = ABStatistics.sampleNormal(random);
+                v = 1 + c * x;
+            } while (v <= 0);
+
+            v = v * v * v;
+            const u = random();
+            if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+            if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+        }
+    }
+
+    /**
+     * Beta分布随机数
+     */
+    static sampleBeta(alpha, beta, random = Math.random) {
+        const x = ABStatistics.sampleGamma(alpha, random);
+        const y = ABStatistics.sampleGamma(beta, random);
+        return x / (x + y);
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABStatistics;
+} else if (typeof window !== 'undefined') {
+    window.ABStatistics = ABStatistics;
+}
@@ -7,20 +7,61 @@
 class ABTestingFramework {
     constructor() {
         this.tests = new Map();
+        this.holdoutPercentage = 0;
         this.userSegment = null;
         this.analytics = {
             events: [],
             conversions: [],
-            metrics: {}
+            metrics: {},
+            // 已批量发送的事件归档，用于计算测试结果
+            archive: {
+                events: [],
+                conversions: []
+            },
+            // 从分析收集器加载的所有访客的事件，未配置收集器时为null
+            collected: null
+        };
+        this.lifecycleStates = ['draft', 'scheduled', 'running', 'paused', 'concluded'];
+        this.config = {
+            confidenceLevel: 0.95, // 置信水平
+            minSampleSize: 100, // 每个变体达到该样本量前不判定显著性
+            analysisMode: 'sequential', // fixed: 固定样本检验；sequential: mSPRT序贯检验，可随时查看结果
+            sequentialTau: 0.1, // mSPRT混合先验的标准化效应量
+            // 护栏指标：实验变体相对对照组恶化超过阈值且显著时自动停止该变体
+            guardrails: [
+                { metric: 'js_error_rate', maxDegradation: 0.02 },
+                { metric: 'lcp', maxDegradation: 500 }
+            ],
+            // 分析收集器（tools/analytics-collector.js）的事件查询接口，如 '/api/analytics/events'，实验定义文件中的collectorUrl可覆盖。
+            // 配置后结果分析、护栏检查和自动停止都基于收集器中所有访客的事件；
+            // 为空时只能使用本浏览器记录的事件，样本只有当前访客，达不到minSampleSize，只适用于本地模拟和调试
+            collectorUrl: null,
+            collectorQueryLimit: 100000,
+            experimentsUrl: '/assets/data/experiments.json', // 实验定义文件
+            inlineExperimentsSelector: 'script[type="application/json"]#ab-experiments'
         };
-        this.init();
+        this.intervals = [];
+        this.ready = null;
     }
 
     /**
      * 初始化A/B测试框架
+     * 可重复调用，返回同一个完成Promise
      */
     init() {
-        this.loadTestConfigurations();
+        if (!this.ready) {
+            this.ready = this.initialize();
+        }
+        return this.ready;
+    }
+
+    /**
+     * 执行初始化流程
+     */
+    async initialize() {
+        await this.loadTestConfigurations();
+        // 分配变体前加载收集器数据，其他访客触发护栏停止的变体不再分配
+        await this.loadCollectedAnalytics();
         this.determineUserSegment();
         this.applyActiveTests();
         this.setupAnalytics();
@@ -29,127 +70,212 @@ class ABTestingFramework {
 
     /**
      * 加载测试配置
+     * 实验定义来自页面内联JSON或experiments.json，框架不包含任何针对具体测试的代码
      */
-    loadTestConfigurations() {
-        // SEO相关的A/B测试配置
-        const testConfigs = [
-            {
-                id: 'title-optimization',
-                name: '页面标题优化测试',
-                type: 'seo',
-                status: 'active',
-                traffic: 50, // 50%的用户参与测试
-                variants: [
-                    {
-                        id: 'control',
-                        name: '原始标题',
-                        weight: 50,
-                        changes: {
-                            title: '曹洁冰 - 高级技术专家 | Java开发 | 大数据 | AI'
-                        }
-                    },
-                    {
-                        id: 'variant-a',
-                        name: '关键词优化标题',
-                        weight: 50,
-                        changes: {
-                            title: '曹洁冰 - 资深Java工程师 | Spring Boot专家 | 大数据AI开发'
-                        }
-                    }
-                ],
-                metrics: ['ctr', 'bounce_rate', 'session_duration', 'search_ranking'],
-                duration: 30, // 测试持续30天
-                startDate: new Date().toISOString()
-            },
-            {
-                id: 'meta-description-test',
-                name: 'Meta描述优化测试',
-                type: 'seo',
-                status: 'active',
-                traffic: 50,
-                variants: [
-                    {
-                        id: 'control',
-                        name: '原始描述',
-                        weight: 50,
-                        changes: {
-                            description: '曹洁冰，高级技术专家，专注Java开发、大数据处理和AI应用开发。拥有丰富的企业级项目经验。'
-                        }
-                    },
-                    {
-                        id: 'variant-a',
-                        name: '行动导向描述',
-                        weight: 50,
-                        changes: {
-                            description: '寻找Java开发专家？曹洁冰提供Spring Boot、微服务、大数据、AI开发服务。立即了解更多！'
-                        }
-                    }
-                ],
-                metrics: ['ctr', 'organic_traffic', 'conversion_rate'],
-                duration: 30,
-                startDate: new Date().toISOString()
-            },
-            {
-                id: 'structured-data-test',
-                name: '结构化数据测试',
-                type: 'seo',
-                status: 'active',
-                traffic: 50,
-                variants: [
-                    {
-                        id: 'control',
-                        name: '基础Person Schema',
-                        weight: 50,
-                        changes: {
-                            structuredData: 'person-basic'
-                        }
-                    },
-                    {
-                        id: 'variant-a',
-                        name: '增强Person + Organization Schema',
-                        weight: 50,
-                        changes: {
-                            structuredData: 'person-enhanced'
-                        }
-                    }
-                ],
-                metrics: ['rich_snippets', 'search_visibility', 'ctr'],
-                duration: 45,
-                startDate: new Date().toISOString()
-            },
-            {
-                id: 'content-layout-test',
-                name: '内容布局优化测试',
-                type: 'ux',
-                status: 'active',
-                traffic: 30,
-                variants: [
-                    {
-                        id: 'control',
-                        name: '原始布局',
-                        weight: 50,
-                        changes: {
-                            layout: 'original'
-                        }
-                    },
-                    {
-                        id: 'variant-a',
-                        name: '技能优先布局',
-                        weight: 50,
-                        changes: {
-                            layout: 'skills-first'
-                        }
-                    }
-                ],
-                metrics: ['engagement_rate', 'scroll_depth', 'time_on_page'],
-                duration: 21,
-                startDate: new Date().toISOString()
-            }
-        ];
+    async loadTestConfigurations() {
+        const definitions = await this.fetchExperimentDefinitions();
+        const testConfigs = definitions.experiments || [];
+        
+        // 全局保留组：该比例的用户不会看到任何实验变体
+        this.holdoutPercentage = definitions.holdout || 0;
+        this.config.collectorUrl = definitions.collectorUrl || this.config.collectorUrl;
 
         testConfigs.forEach(config => {
-            this.tests.set(config.id, config);
+            this.tests.set(config.id, this.normalizeTestDefinition(config));
+        });
+        
+        this.syncLifecycleStates();
+        this.validateLayers();
+    }
+
+    /**
+     * 校验实验层：同一层内实验互斥，流量总和不能超过100%
+     */
+    validateLayers() {
+        const layerTraffic = {};
+        
+        this.tests.forEach(test => {
+            if (!test.layer) return;
+            layerTraffic[test.layer] = (layerTraffic[test.layer] || 0) + test.traffic;
+        });
+        
+        Object.entries(layerTraffic).forEach(([layer, traffic]) => {
+            if (traffic > 100) {
+                console.warn(`A/B测试层 ${layer} 的流量总和为 ${traffic}%，超出部分的实验将无法获得流量`);
+            }
+        });
+    }
+
+    /**
+     * 规范化实验定义
+     * 开始/结束时间必须在定义中固定，缺少endDate时由duration（天）推算
+     */
+    normalizeTestDefinition(config) {
+        const test = { ...config };
+        
+        // 兼容旧的active状态
+        if (test.status === 'active') {
+            test.status = 'running';
+        }
+        
+        if (!this.lifecycleStates.includes(test.status)) {
+            console.warn(`A/B测试 ${test.id} 的状态无效: ${test.status}，已按草稿处理`);
+            test.status = 'draft';
+        }
+        
+        if (!test.endDate && test.startDate && test.duration) {
+            const start = new Date(test.startDate).getTime();
+            test.endDate = new Date(start + test.duration * 24 * 60 * 60 * 1000).toISOString();
+        }
+        
+        if (['scheduled', 'running'].includes(test.status) && (!test.startDate || !test.endDate)) {
+            console.warn(`A/B测试 ${test.id} 缺少开始或结束时间，已按草稿处理`);
+            test.status = 'draft';
+        }
+        
+        // 护栏指标必须是已定义的指标，未知指标在加载时忽略，避免定时检查时出错
+        if (test.guardrails) {
+            const definitions = this.getMetricDefinitions();
+            const unknown = test.guardrails.filter(guardrail => !definitions[guardrail.metric]);
+            if (unknown.length > 0) {
+                console.warn(`A/B测试 ${test.id} 的护栏指标未定义，已忽略: ${unknown.map(guardrail => guardrail.metric).join(', ')}`);
+                test.guardrails = test.guardrails.filter(guardrail => definitions[guardrail.metric]);
+            }
+        }
+        
+        // 已结束的实验必须在定义中指定获胜变体，页面上只有本次访问的事件，无法据此判定胜者
+        if (test.status === 'concluded' && !this.findVariant(test, test.winner)) {
+            console.warn(`A/B测试 ${test.id} 已结束但winner无效: ${test.winner}，已按草稿处理`);
+            test.status = 'draft';
+        }
+        
+        return test;
+    }
+
+    /**
+     * 计算实验当前的生命周期状态
+     * scheduled/running状态由开始、结束时间决定；draft、paused、concluded为人工状态
+     */
+    getTestStatus(test, now = new Date()) {
+        if (!['scheduled', 'running'].includes(test.status)) {
+            return test.status;
+        }
+        
+        if (now < new Date(test.startDate)) return 'scheduled';
+        if (now >= new Date(test.endDate)) return 'concluded';
+        return 'running';
+    }
+
+    /**
+     * 读取生命周期变更记录
+     */
+    getLifecycleLog() {
+        return JSON.parse(localStorage.getItem('ab_lifecycle_log') || '{}');
+    }
+
+    /**
+     * 获取单个实验的生命周期变更记录
+     */
+    getLifecycleHistory(testId) {
+        return this.getLifecycleLog()[testId] || [];
+    }
+
+    /**
+     * 记录生命周期变更
+     */
+    recordLifecycleTransition(testId, from, to, at, reason) {
+        const log = this.getLifecycleLog();
+        if (!log[testId]) {
+            log[testId] = [];
+        }
+        
+        log[testId].push({
+            from,
+            to,
+            at,
+            reason,
+            recordedAt: new Date().toISOString()
         });
+        localStorage.setItem('ab_lifecycle_log', JSON.stringify(log));
+    }
+
+    /**
+     * 同步生命周期状态，将定义或时间导致的状态变化写入记录
+     */
+    syncLifecycleStates() {
+        this.tests.forEach((test, testId) => {
+            const history = this.getLifecycleHistory(testId);
+            const last = history.length > 0 ? history[history.length - 1].to : null;
+            const current = this.getTestStatus(test);
+            
+            if (last === current) return;
+            
+            // 按时间自动发生的变更以边界时间作为发生时间
+            let at = new Date().toISOString();
+            let reason = 'definition';
+            if (current === 'running' && ['scheduled', 'running'].includes(test.status)) {
+                at = new Date(test.startDate).toISOString();
+                reason = 'schedule';
+            } else if (current === 'concluded' && test.status !== 'concluded') {
+                at = new Date(test.endDate).toISOString();
+                reason = 'schedule';
+            }
+            
+            this.recordLifecycleTransition(testId, last, current, at, reason);
+        });
+    }
+
+    /**
+     * 手动变更实验状态（例如暂停、恢复或结束实验）
+     * @param {string} testId - 实验ID
+     * @param {string} status - 目标状态
+     * @param {Object} options - 结束实验时必须指定winner
+     */
+    transitionTest(testId, status, options = {}) {
+        const test = this.tests.get(testId);
+        if (!test) return false;
+        
+        if (!this.lifecycleStates.includes(status)) {
+            console.warn(`无效的A/B测试状态: ${status}`);
+            return false;
+        }
+        
+        if (status === 'concluded' && !this.findVariant(test, options.winner)) {
+            console.warn(`结束A/B测试 ${testId} 时必须指定有效的winner: ${options.winner}`);
+            return false;
+        }
+        
+        const from = this.getTestStatus(test);
+        test.status = status;
+        if (status === 'concluded') {
+            test.winner = options.winner;
+        }
+        
+        this.recordLifecycleTransition(testId, from, this.getTestStatus(test), new Date().toISOString(), options.reason || 'manual');
+        return true;
+    }
+
+    /**
+     * 读取实验定义
+     * 优先使用内联的 <script type="application/json" id="ab-experiments">
+     */
+    async fetchExperimentDefinitions() {
+        const inline = document.querySelector(this.config.inlineExperimentsSelector);
+        
+        try {
+            if (inline) {
+                return JSON.parse(inline.textContent);
+            }
+            
+            const response = await fetch(this.config.experimentsUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn('A/B测试配置加载失败:', error);
+            return {};
+        }
     }
 
     /**
@@ -167,12 +293,15 @@ class ABTestingFramework {
         this.userSegment = {
             userId,
             hash: this.hashUserId(userId),
+            holdout: false,
             source: this.getTrafficSource(),
             device: this.getDeviceType(),
             location: this.getLocation(),
             timestamp: new Date().toISOString()
         };
 
+        this.userSegment.holdout = this.getBucket('holdout') < this.holdoutPercentage * 100;
+
         // 保存用户分组信息
         localStorage.setItem('ab_user_segment', JSON.stringify(this.userSegment));
     }
@@ -197,6 +326,34 @@ class ABTestingFramework {
         return Math.abs(hash);
     }
 
+    /**
+     * 字符串哈希（FNV-1a + MurmurHash3 finalizer）
+     * 雪崩效应保证不同盐值得到的分桶相互独立
+     */
+    hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    }
+
+    /**
+     * 按盐值为当前用户分桶
+     * @param {string} salt - 盐值，不同用途使用不同盐值
+     * @param {number} buckets - 桶数量，默认10000（精度0.01%）
+     */
+    getBucket(salt, buckets = 10000) {
+        return this.hashString(`${salt}:${this.userSegment.userId}`) % buckets;
+    }
+
     /**
      * 获取流量来源
      */
@@ -263,14 +420,110 @@ class ABTestingFramework {
 
     /**
      * 应用激活的测试
+     * 运行中的测试按流量分组，已结束的测试将所有用户固定到获胜变体
      */
     applyActiveTests() {
+        // 保留组用户不参与任何实验
+        if (this.userSegment.holdout) {
+            this.trackHoldout();
+            return;
+        }
+        
         this.tests.forEach((test, testId) => {
-            if (test.status === 'active' && this.shouldParticipateInTest(test)) {
+            const status = this.getTestStatus(test);
+            
+            const forced = this.getForcedVariantId(testId);
+            
+            if (status === 'running' && (forced || this.shouldParticipateInTest(test))) {
                 const variant = this.selectVariant(test);
                 this.applyVariant(testId, variant);
                 this.trackTestParticipation(testId, variant.id);
+            } else if (status === 'concluded') {
+                this.applyVariant(testId, this.getConcludedVariant(test));
+            }
+        });
+    }
+
+    /**
+     * 获取已结束测试的固定变体：定义中的winner；
+     * 按结束时间自动结束、尚未指定winner的实验保持对照组，直到在定义中补充winner
+     */
+    getConcludedVariant(test) {
+        return this.findVariant(test, test.winner) || this.getControlVariant(test);
+    }
+
+    /**
+     * 按ID查找变体
+     */
+    findVariant(test, variantId) {
+        return test.variants.find(variant => variant.id === variantId) || null;
+    }
+
+    /**
+     * 跟踪保留组用户
+     */
+    trackHoldout() {
+        const event = {
+            type: 'holdout',
+            userId: this.userSegment.userId,
+            percentage: this.holdoutPercentage,
+            timestamp: new Date().toISOString()
+        };
+        
+        this.analytics.events.push(event);
+        this.sendAnalyticsEvent(event);
+    }
+
+    /**
+     * 获取实验在所属层中的流量区间（单位：万分之一）
+     * 同层实验按定义顺序占用连续且不重叠的区间，从而互斥；未分层的实验独占一层
+     */
+    getLayerRange(test) {
+        if (!test.layer) {
+            return { start: 0, end: test.traffic * 100 };
+        }
+        
+        let start = 0;
+        for (const candidate of this.tests.values()) {
+            if (candidate.layer !== test.layer) continue;
+            
+            const end = Math.min(start + candidate.traffic * 100, 10000);
+            if (candidate.id === test.id) {
+                return { start, end };
             }
+            start = end;
+        }
+        
+        return { start: 0, end: 0 };
+    }
+
+    /**
+     * 获取用于定向和结果细分的用户属性
+     */
+    getSegmentAttributes(segment = this.userSegment) {
+        return {
+            device: segment.device,
+            sourceType: segment.source.type,
+            source: segment.source.source,
+            medium: segment.source.medium || null,
+            campaign: segment.source.campaign || null,
+            country: segment.location.country,
+            language: segment.location.language
+        };
+    }
+
+    /**
+     * 判断当前用户是否满足实验定向规则
+     * 规则示例：{ "device": ["mobile"], "source": ["baidu"], "campaign": ["spring"] }
+     * 同一属性内的取值为"或"关系，不同属性之间为"与"关系
+     */
+    matchesTargeting(targeting) {
+        if (!targeting) return true;
+        
+        const attributes = this.getSegmentAttributes();
+        return Object.entries(targeting).every(([attribute, allowed]) => {
+            const values = Array.isArray(allowed) ? allowed : [allowed];
+            return values.includes(attributes[attribute]);
         });
     }
 
@@ -278,170 +531,329 @@ class ABTestingFramework {
      * 判断用户是否应该参与测试
      */
     shouldParticipateInTest(test) {
-        // 基于流量分配百分比
-        const trafficThreshold = (this.userSegment.hash % 100) < test.traffic;
+        // 定向规则不匹配的用户不参与测试
+        if (!this.matchesTargeting(test.targeting)) {
+            return false;
+        }
+        
+        // 在实验层内按盐值分桶，判断是否落在该实验的流量区间
+        const bucket = this.getBucket(`layer:${test.layer || test.id}`);
+        const range = this.getLayerRange(test);
+        const inTraffic = bucket >= range.start && bucket < range.end;
         
-        // 检查测试是否过期
-        const startDate = new Date(test.startDate);
-        const endDate = new Date(startDate.getTime() + test.duration * 24 * 60 * 60 * 1000);
-        const isActive = new Date() <= endDate;
+        // 仅运行中的测试接受新参与者
+        const isActive = this.getTestStatus(test) === 'running';
         
-        return trafficThreshold && isActive;
+        return inTraffic && isActive;
     }
 
     /**
      * 选择测试变体
      */
     selectVariant(test) {
-        const hash = this.userSegment.hash;
+        const forced = test.variants.find(variant => variant.id === this.getForcedVariantId(test.id));
+        if (forced) return forced;
+        
+        if (this.getAllocationConfig(test).mode !== 'static') {
+            return this.selectAdaptiveVariant(test);
+        }
+        
+        // 变体选择使用独立盐值，避免与流量分配相关
         const totalWeight = test.variants.reduce((sum, variant) => sum + variant.weight, 0);
-        const threshold = hash % totalWeight;
+        const threshold = this.getBucket(`variant:${test.salt || test.id}`, totalWeight);
         
+        let selected = test.variants[0]; // 默认返回第一个变体
         let currentWeight = 0;
         for (const variant of test.variants) {
             currentWeight += variant.weight;
             if (threshold < currentWeight) {
-                return variant;
+                selected = variant;
+                break;
             }
         }
         
-        return test.variants[0]; // 默认返回第一个变体
+        // 被护栏停止的变体回退到对照组
+        if (this.isVariantStopped(test.id, selected.id)) {
+            return this.getControlVariant(test);
+        }
+        
+        return selected;
     }
 
     /**
-     * 应用测试变体
+     * 获取流量分配配置
+     * mode: static（按权重固定分配）| thompson（Thompson采样）| epsilon-greedy
      */
-    applyVariant(testId, variant) {
-        const changes = variant.changes;
+    getAllocationConfig(test) {
+        const allocation = test.allocation || {};
+        return {
+            mode: allocation.mode || 'static',
+            metric: allocation.metric || 'conversion_rate',
+            epsilon: allocation.epsilon !== undefined ? allocation.epsilon : 0.1
+        };
+    }
+
+    /**
+     * 多臂老虎机分配：根据已记录的转化将流量倾向表现更好的变体
+     * 已分配的用户保持原变体不变
+     */
+    selectAdaptiveVariant(test) {
+        const candidates = test.variants.filter(variant => !this.isVariantStopped(test.id, variant.id));
+        if (candidates.length === 0) {
+            return this.getControlVariant(test);
+        }
         
-        switch (testId) {
-            case 'title-optimization':
-                this.applyTitleChange(changes.title);
-                break;
-            case 'meta-description-test':
-                this.applyDescriptionChange(changes.description);
-                break;
-            case 'structured-data-test':
-                this.applyStructuredDataChange(changes.structuredData);
-                break;
-            case 'content-layout-test':
-                this.applyLayoutChange(changes.layout);
-                break;
+        const assignedId = this.getAssignedVariant(test.id);
+        const assigned = candidates.find(variant => variant.id === assignedId);
+        if (assigned) return assigned;
+        
+        const allocation = this.getAllocationConfig(test);
+        const posteriors = this.getVariantPosteriors(test, allocation.metric);
+        
+        if (allocation.mode === 'epsilon-greedy') {
+            if (Math.random() < allocation.epsilon) {
+                return candidates[Math.floor(Math.random() * candidates.length)];
+            }
+            
+            // 利用：选择后验均值最高的变体
+            return candidates.reduce((best, variant) => {
+                const mean = p => p.alpha / (p.alpha + p.beta);
+                return mean(posteriors[variant.id]) > mean(posteriors[best.id]) ? variant : best;
+            });
+        }
+        
+        // Thompson采样：从各变体的Beta后验中抽样，选择抽样值最大的变体
+        let best = candidates[0];
+        let bestDraw = -1;
+        candidates.forEach(variant => {
+            const posterior = posteriors[variant.id];
+            const draw = ABStatistics.sampleBeta(posterior.alpha, posterior.beta);
+            if (draw > bestDraw) {
+                best = variant;
+                bestDraw = draw;
+            }
+        });
+        
+        return best;
+    }
+
+    /**
+     * 计算各变体在比例指标上的Beta(1 + 成功, 1 + 失败)后验参数
+     */
+    getVariantPosteriors(test, metric) {
+        const definition = this.getMetricDefinitions()[metric];
+        if (!definition || definition.kind !== 'proportion') {
+            console.warn(`多臂老虎机分配需要比例类指标，${metric} 不受支持`);
         }
         
+        const samples = this.collectVariantSamples(test.id);
+        const posteriors = {};
+        test.variants.forEach(variant => {
+            const sample = samples[variant.id];
+            const successes = definition && definition.kind === 'proportion' ? sample[definition.sample] : 0;
+            posteriors[variant.id] = {
+                alpha: 1 + successes,
+                beta: 1 + sample.participants - successes
+            };
+        });
+        
+        return posteriors;
+    }
+
+    /**
+     * 估计Thompson采样下各变体获得新流量的概率（蒙特卡洛）
+     */
+    getAllocationProbabilities(testId, draws = 1000) {
+        const test = this.tests.get(testId);
+        if (!test) return null;
+        
+        const allocation = this.getAllocationConfig(test);
+        if (allocation.mode === 'static') {
+            const totalWeight = test.variants.reduce((sum, variant) => sum + variant.weight, 0);
+            return Object.fromEntries(test.variants.map(variant => [variant.id, variant.weight / totalWeight]));
+        }
+        
+        const posteriors = this.getVariantPosteriors(test, allocation.metric);
+        const wins = Object.fromEntries(test.variants.map(variant => [variant.id, 0]));
+        for (let i = 0; i < draws; i++) {
+            let bestId = null;
+            let bestDraw = -1;
+            test.variants.forEach(variant => {
+                const posterior = posteriors[variant.id];
+                const draw = ABStatistics.sampleBeta(posterior.alpha, posterior.beta);
+                if (draw > bestDraw) {
+                    bestId = variant.id;
+                    bestDraw = draw;
+                }
+            });
+            wins[bestId]++;
+        }
+        
+        return Object.fromEntries(Object.entries(wins).map(([id, count]) => [id, count / draws]));
+    }
+
+    /**
+     * 获取手动指定的变体（用于调试面板切换变体）
+     */
+    getForcedVariantId(testId) {
+        const forced = JSON.parse(localStorage.getItem('ab_forced_variants') || '{}');
+        return forced[testId] || null;
+    }
+
+    /**
+     * 手动指定变体，刷新页面后生效
+     */
+    forceVariant(testId, variantId) {
+        const forced = JSON.parse(localStorage.getItem('ab_forced_variants') || '{}');
+        forced[testId] = variantId;
+        localStorage.setItem('ab_forced_variants', JSON.stringify(forced));
+    }
+
+    /**
+     * 获取当前用户在测试中被分配的变体ID
+     */
+    getAssignedVariant(testId) {
+        const appliedVariants = JSON.parse(localStorage.getItem('ab_applied_variants') || '{}');
+        return appliedVariants[testId] ? appliedVariants[testId].variantId : null;
+    }
+
+    /**
+     * 应用测试变体
+     */
+    applyVariant(testId, variant) {
+        (variant.changes || []).forEach(change => {
+            this.applyChange(change);
+        });
+        
         // 记录应用的变体
         this.recordAppliedVariant(testId, variant);
     }
 
     /**
-     * 应用标题变更
+     * 应用单个变更操作
      */
-    applyTitleChange(newTitle) {
-        document.title = newTitle;
+    applyChange(change) {
+        const handlers = {
+            setTitle: () => this.applyTitleChange(change),
+            setMeta: () => this.applyMetaChange(change),
+            setText: () => this.applyTextChange(change),
+            setAttribute: () => this.applyAttributeChange(change),
+            injectJsonLd: () => this.applyStructuredDataChange(change),
+            moveElement: () => this.applyMoveChange(change),
+            addClass: () => this.applyClassChange(change)
+        };
+        
+        const handler = handlers[change.op];
+        if (!handler) {
+            console.warn('未知的A/B测试变更操作:', change.op);
+            return;
+        }
+        
+        handler();
+    }
+
+    /**
+     * 应用标题变更（同步Open Graph和Twitter标题）
+     */
+    applyTitleChange(change) {
+        document.title = change.value;
+        
+        if (change.syncSocial === false) return;
         
-        // 更新Open Graph标题
         const ogTitle = document.querySelector('meta[property="og:title"]');
         if (ogTitle) {
-            ogTitle.content = newTitle;
+            ogTitle.content = change.value;
         }
         
-        // 更新Twitter标题
         const twitterTitle = document.querySelector('meta[name="twitter:title"]');
         if (twitterTitle) {
-            twitterTitle.content = newTitle;
+            twitterTitle.content = change.value;
         }
     }
 
     /**
-     * 应用描述变更
+     * 应用meta标签变更，标签不存在时创建
      */
-    applyDescriptionChange(newDescription) {
-        const metaDescription = document.querySelector('meta[name="description"]');
-        if (metaDescription) {
-            metaDescription.content = newDescription;
-        }
+    applyMetaChange(change) {
+        const key = change.property ? 'property' : 'name';
+        const value = change.property || change.name;
         
-        // 更新Open Graph描述
-        const ogDescription = document.querySelector('meta[property="og:description"]');
-        if (ogDescription) {
-            ogDescription.content = newDescription;
+        let meta = document.querySelector(`meta[${key}="${value}"]`);
+        if (!meta) {
+            meta = document.createElement('meta');
+            meta.setAttribute(key, value);
+            document.head.appendChild(meta);
         }
         
-        // 更新Twitter描述
-        const twitterDescription = document.querySelector('meta[name="twitter:description"]');
-        if (twitterDescription) {
-            twitterDescription.content = newDescription;
-        }
+        meta.content = change.content;
     }
 
     /**
-     * 应用结构化数据变更
+     * 替换选择器匹配元素的文本
      */
-    applyStructuredDataChange(schemaType) {
-        const existingSchema = document.querySelector('script[type="application/ld+json"]');
-        
-        let newSchema;
-        if (schemaType === 'person-enhanced') {
-            newSchema = {
-                "@context": "https://schema.org",
-                "@type": ["Person", "ProfessionalService"],
-                "name": "曹洁冰",
-                "jobTitle": "高级技术专家",
-                "description": "资深Java开发工程师，大数据专家，AI应用开发工程师",
-                "url": window.location.origin,
-                "sameAs": [
-                    "https://github.com/caojiebing",
-                    "https://linkedin.com/in/caojiebing"
-                ],
-                "knowsAbout": [
-                    "Java开发", "Spring Boot", "微服务架构",
-                    "大数据开发", "Hadoop", "Spark",
-                    "AI开发", "机器学习", "深度学习"
-                ],
-                "hasOccupation": {
-                    "@type": "Occupation",
-                    "name": "软件开发工程师",
-                    "occupationLocation": {
-                        "@type": "Country",
-                        "name": "中国"
-                    }
-                },
-                "memberOf": {
-                    "@type": "Organization",
-                    "@id": "#organization"
-                }
-            };
-        } else {
-            // 保持原有的基础Schema
-            return;
-        }
+    applyTextChange(change) {
+        document.querySelectorAll(change.selector).forEach(element => {
+            element.textContent = change.value;
+        });
+    }
+
+    /**
+     * 替换选择器匹配元素的属性
+     */
+    applyAttributeChange(change) {
+        document.querySelectorAll(change.selector).forEach(element => {
+            element.setAttribute(change.attribute, change.value);
+        });
+    }
+
+    /**
+     * 注入结构化数据
+     * 指定replace时替换匹配的JSON-LD脚本，否则追加新脚本
+     */
+    applyStructuredDataChange(change) {
+        const json = JSON.stringify(change.data, null, 2)
+            .replace(/\{\{origin\}\}/g, window.location.origin);
         
+        const existingSchema = change.replace ? document.querySelector(change.replace) : null;
         if (existingSchema) {
-            existingSchema.textContent = JSON.stringify(newSchema, null, 2);
+            existingSchema.textContent = json;
         } else {
             const script = document.createElement('script');
             script.type = 'application/ld+json';
-            script.textContent = JSON.stringify(newSchema, null, 2);
+            script.textContent = json;
             document.head.appendChild(script);
         }
     }
 
     /**
-     * 应用布局变更
+     * 调整区块顺序：将元素移动到指定元素之前或之后
      */
-    applyLayoutChange(layoutType) {
-        if (layoutType === 'skills-first') {
-            // 将技能部分移到更显眼的位置
-            const skillsSection = document.querySelector('#skills, .skills');
-            const heroSection = document.querySelector('.hero, #hero');
-            
-            if (skillsSection && heroSection) {
-                heroSection.parentNode.insertBefore(skillsSection, heroSection.nextSibling);
-                skillsSection.classList.add('ab-test-skills-first');
-            }
+    applyMoveChange(change) {
+        const element = document.querySelector(change.selector);
+        const reference = document.querySelector(change.after || change.before);
+        
+        if (!element || !reference) return;
+        
+        if (change.after) {
+            reference.parentNode.insertBefore(element, reference.nextSibling);
+        } else {
+            reference.parentNode.insertBefore(element, reference);
+        }
+        
+        if (change.className) {
+            element.classList.add(change.className);
         }
     }
 
+    /**
+     * 为选择器匹配的元素添加CSS类（用于功能开关类实验）
+     */
+    applyClassChange(change) {
+        document.querySelectorAll(change.selector).forEach(element => {
+            element.classList.add(change.className);
+        });
+    }
+
     /**
      * 记录应用的变体
      */
@@ -464,6 +876,7 @@ class ABTestingFramework {
             testId,
             variantId,
             userId: this.userSegment.userId,
+            segment: this.getSegmentAttributes(),
             timestamp: new Date().toISOString(),
             userAgent: navigator.userAgent,
             url: window.location.href
@@ -488,6 +901,45 @@ class ABTestingFramework {
         
         // 跟踪SEO指标
         this.setupSEOMetricsTracking();
+        
+        // 跟踪脚本错误
+        this.setupErrorTracking();
+    }
+
+    /**
+     * 设置错误跟踪
+     */
+    setupErrorTracking() {
+        window.addEventListener('error', (e) => {
+            this.trackError({
+                message: e.message,
+                filename: e.filename,
+                lineno: e.lineno,
+                colno: e.colno
+            });
+        });
+        
+        window.addEventListener('unhandledrejection', (e) => {
+            this.trackError({
+                message: String(e.reason),
+                type: 'unhandledrejection'
+            });
+        });
+    }
+
+    /**
+     * 跟踪脚本错误
+     */
+    trackError(details) {
+        const event = {
+            type: 'js_error',
+            userId: this.userSegment.userId,
+            ...details,
+            timestamp: new Date().toISOString()
+        };
+        
+        this.analytics.events.push(event);
+        this.sendAnalyticsEvent(event);
     }
 
     /**
@@ -608,9 +1060,9 @@ class ABTestingFramework {
         });
         
         // 定期发送心跳
-        setInterval(() => {
+        this.intervals.push(setInterval(() => {
             this.trackHeartbeat(Date.now() - startTime);
-        }, 30000); // 每30秒发送一次心跳
+        }, 30000)); // 每30秒发送一次心跳
     }
 
     /**
@@ -668,6 +1120,25 @@ class ABTestingFramework {
                 });
             }
         });
+        
+        // 跟踪表单提交
+        document.addEventListener('submit', (e) => {
+            if (e.target.matches('form')) {
+                this.trackConversion('form_submit', {
+                    form: e.target.id || 'unknown'
+                });
+            }
+        });
+        
+        // 跟踪社交分享
+        document.addEventListener('click', (e) => {
+            const shareButton = e.target.closest('.share-btn');
+            if (shareButton) {
+                this.trackConversion('social_share', {
+                    platform: shareButton.dataset.platform
+                });
+            }
+        });
     }
 
     /**
@@ -726,14 +1197,18 @@ class ABTestingFramework {
     /**
      * 跟踪性能指标
      */
-    trackPerformanceMetrics() {
+    async trackPerformanceMetrics() {
         const timing = performance.timing;
+        const [largestContentfulPaint, cumulativeLayoutShift] = await Promise.all([
+            this.getLCP(),
+            this.getCLS()
+        ]);
         const metrics = {
             loadTime: timing.loadEventEnd - timing.navigationStart,
             domContentLoaded: timing.domContentLoadedEventEnd - timing.navigationStart,
             firstPaint: this.getFirstPaint(),
-            largestContentfulPaint: this.getLCP(),
-            cumulativeLayoutShift: this.getCLS()
+            largestContentfulPaint,
+            cumulativeLayoutShift
         };
         
         const event = {
@@ -809,9 +1284,10 @@ class ABTestingFramework {
      */
     startMonitoring() {
         // 定期发送分析数据
-        setInterval(() => {
+        this.intervals.push(setInterval(() => {
             this.sendBatchAnalytics();
-        }, 60000); // 每分钟发送一次
+            this.loadCollectedAnalytics().then(() => this.evaluateGuardrails());
+        }, 60000)); // 每分钟发送一次，刷新收集器数据后检查护栏指标
         
         // 页面卸载时发送剩余数据
         window.addEventListener('beforeunload', () => {
@@ -826,9 +1302,11 @@ class ABTestingFramework {
         // 这里可以发送到实际的分析服务
         console.log('Analytics Event:', event);
         
-        // 模拟发送到服务器
-        if (navigator.sendBeacon) {
-            const data = JSON.stringify(event);
+        // 模拟发送到服务器，离线时由网络状态模块排队
+        const data = JSON.stringify(event);
+        if (window.networkStatus) {
+            window.networkStatus.sendBeacon('/api/analytics', data);
+        } else if (navigator.sendBeacon) {
             navigator.sendBeacon('/api/analytics', data);
         }
     }
@@ -845,11 +1323,17 @@ class ABTestingFramework {
                 timestamp: new Date().toISOString()
             };
             
+            // 保留已发送的数据以便统计分析
+            this.analytics.archive.events.push(...batch.events);
+            this.analytics.archive.conversions.push(...batch.conversions);
+            
             console.log('Analytics Batch:', batch);
             
-            // 发送到服务器
-            if (navigator.sendBeacon) {
-                const data = JSON.stringify(batch);
+            // 发送到服务器，离线时由网络状态模块排队
+            const data = JSON.stringify(batch);
+            if (window.networkStatus) {
+                window.networkStatus.sendBeacon('/api/analytics/batch', data);
+            } else if (navigator.sendBeacon) {
                 navigator.sendBeacon('/api/analytics/batch', data);
             }
         }
@@ -862,98 +1346,544 @@ class ABTestingFramework {
         const test = this.tests.get(testId);
         if (!test) return null;
         
-        // 这里应该从服务器获取实际的测试结果
-        // 现在返回模拟数据
+        const analysis = this.analyzeTest(testId);
+        
         return {
             testId,
             testName: test.name,
-            status: test.status,
+            status: this.getTestStatus(test),
+            startDate: test.startDate,
+            endDate: test.endDate,
             participants: this.getParticipantCount(testId),
             variants: test.variants.map(variant => ({
                 ...variant,
                 metrics: this.getVariantMetrics(testId, variant.id)
             })),
+            primaryMetric: analysis.primaryMetric,
+            unsupportedMetrics: analysis.unsupportedMetrics,
+            comparisons: analysis.comparisons,
             winner: this.determineWinner(testId),
             confidence: this.calculateConfidence(testId),
+            segments: this.getSegmentedResults(testId),
+            stoppedVariants: this.getStoppedVariants()[testId] || {},
+            allocation: {
+                ...this.getAllocationConfig(test),
+                probabilities: this.getAllocationProbabilities(testId)
+            },
             recommendations: this.generateTestRecommendations(testId)
         };
     }
 
     /**
-     * 获取参与者数量（模拟）
+     * 获取指标定义
+     * kind为proportion的指标使用双比例z检验，continuous使用Welch t检验
      */
-    getParticipantCount(testId) {
-        return Math.floor(Math.random() * 1000) + 100;
+    getMetricDefinitions() {
+        return {
+            ctr: { kind: 'proportion', sample: 'clickers', higherIsBetter: true },
+            conversion_rate: { kind: 'proportion', sample: 'converters', higherIsBetter: true },
+            bounce_rate: { kind: 'proportion', sample: 'bouncers', higherIsBetter: false },
+            engagement_rate: { kind: 'proportion', sample: 'engaged', higherIsBetter: true },
+            session_duration: { kind: 'continuous', sample: 'durations', higherIsBetter: true },
+            time_on_page: { kind: 'continuous', sample: 'durations', higherIsBetter: true },
+            scroll_depth: { kind: 'continuous', sample: 'scrollDepths', higherIsBetter: true },
+            js_error_rate: { kind: 'proportion', sample: 'errorUsers', higherIsBetter: false },
+            lcp: { kind: 'continuous', sample: 'lcpValues', higherIsBetter: false }
+        };
     }
 
     /**
-     * 获取变体指标（模拟）
+     * 从分析收集器加载所有访客的事件和转化
+     * 未配置收集器时不请求；请求失败时保留上次加载的数据
      */
-    getVariantMetrics(testId, variantId) {
-        return {
-            impressions: Math.floor(Math.random() * 500) + 50,
-            clicks: Math.floor(Math.random() * 50) + 5,
-            conversions: Math.floor(Math.random() * 10) + 1,
-            ctr: (Math.random() * 0.1 + 0.02).toFixed(3),
-            conversionRate: (Math.random() * 0.05 + 0.01).toFixed(3),
-            bounceRate: (Math.random() * 0.3 + 0.4).toFixed(3),
-            avgSessionDuration: Math.floor(Math.random() * 300) + 60
-        };
+    async loadCollectedAnalytics() {
+        if (!this.config.collectorUrl) return;
+
+        try {
+            const response = await fetch(`${this.config.collectorUrl}?limit=${this.config.collectorQueryLimit}`, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const { records } = await response.json();
+            this.analytics.collected = {
+                events: records.filter(record => record.kind === 'event').map(record => record.payload),
+                conversions: records.filter(record => record.kind === 'conversion').map(record => record.payload)
+            };
+        } catch (error) {
+            console.warn('加载分析收集器数据失败:', error);
+        }
+    }
+
+    /**
+     * 获取已采集的全部事件
+     * 有收集器数据时使用所有访客的事件（已包含本浏览器已发送的部分）加上待发送的事件，否则只有本浏览器的事件
+     */
+    getCollectedEvents() {
+        const sent = this.analytics.collected ? this.analytics.collected.events : this.analytics.archive.events;
+        return [...sent, ...this.analytics.events];
+    }
+
+    /**
+     * 获取已采集的全部转化
+     */
+    getCollectedConversions() {
+        const sent = this.analytics.collected ? this.analytics.collected.conversions : this.analytics.archive.conversions;
+        return [...sent, ...this.analytics.conversions];
+    }
+
+    /**
+     * 判断参与事件是否满足细分条件
+     * @param {Object} event - test_participation事件
+     * @param {Object|null} filter - 细分条件，如 { source: 'baidu' }
+     */
+    matchesSegmentFilter(event, filter) {
+        if (!filter) return true;
+        
+        const segment = event.segment || {};
+        return Object.entries(filter).every(([attribute, value]) => segment[attribute] === value);
+    }
+
+    /**
+     * 获取测试的用户分组映射（userId -> variantId）
+     */
+    getVariantAssignments(testId, filter = null) {
+        const assignments = new Map();
+        
+        this.getCollectedEvents().forEach(event => {
+            if (event.type === 'test_participation' && event.testId === testId &&
+                this.matchesSegmentFilter(event, filter)) {
+                assignments.set(event.userId, event.variantId);
+            }
+        });
+        
+        return assignments;
     }
 
     /**
-     * 确定获胜者（模拟）
+     * 按变体汇总用户级样本
      */
-    determineWinner(testId) {
+    collectVariantSamples(testId, filter = null) {
         const test = this.tests.get(testId);
-        if (!test) return null;
+        const assignments = this.getVariantAssignments(testId, filter);
+        const users = {};
+        
+        assignments.forEach((variantId, userId) => {
+            users[userId] = {
+                variantId,
+                pageViews: 0,
+                clicks: 0,
+                conversions: 0,
+                duration: 0,
+                maxScroll: 0,
+                errors: 0,
+                lcp: null
+            };
+        });
+        
+        this.getCollectedEvents().forEach(event => {
+            const user = users[event.userId];
+            if (!user) return;
+            
+            switch (event.type) {
+                case 'page_view':
+                    user.pageViews++;
+                    break;
+                case 'link_click':
+                    user.clicks++;
+                    break;
+                case 'scroll_milestone':
+                    user.maxScroll = Math.max(user.maxScroll, event.percentage);
+                    break;
+                case 'time_on_page':
+                case 'heartbeat':
+                    user.duration = Math.max(user.duration, event.duration);
+                    break;
+                case 'js_error':
+                    user.errors++;
+                    break;
+                case 'performance_metrics':
+                    if (typeof event.metrics.largestContentfulPaint === 'number') {
+                        user.lcp = event.metrics.largestContentfulPaint;
+                    }
+                    break;
+            }
+        });
+        
+        this.getCollectedConversions().forEach(conversion => {
+            const user = users[conversion.userId];
+            if (user) {
+                user.conversions++;
+            }
+        });
+        
+        const samples = {};
+        test.variants.forEach(variant => {
+            samples[variant.id] = {
+                participants: 0,
+                pageViews: 0,
+                clicks: 0,
+                conversions: 0,
+                clickers: 0,
+                converters: 0,
+                bouncers: 0,
+                engaged: 0,
+                errorUsers: 0,
+                durations: [],
+                scrollDepths: [],
+                lcpValues: []
+            };
+        });
         
-        // 简单的随机选择获胜者
-        const randomIndex = Math.floor(Math.random() * test.variants.length);
-        return test.variants[randomIndex].id;
+        Object.values(users).forEach(user => {
+            const sample = samples[user.variantId];
+            if (!sample) return;
+            
+            const interacted = user.clicks > 0 || user.maxScroll > 0;
+            
+            sample.participants++;
+            sample.pageViews += user.pageViews;
+            sample.clicks += user.clicks;
+            sample.conversions += user.conversions;
+            if (user.clicks > 0) sample.clickers++;
+            if (user.conversions > 0) sample.converters++;
+            if (user.pageViews <= 1 && !interacted) sample.bouncers++;
+            if (user.clicks > 0 || user.maxScroll >= 50) sample.engaged++;
+            sample.durations.push(user.duration / 1000); // 转换为秒
+            sample.scrollDepths.push(user.maxScroll);
+            if (user.errors > 0) sample.errorUsers++;
+            if (user.lcp !== null) sample.lcpValues.push(user.lcp);
+        });
+        
+        return samples;
     }
 
     /**
-     * 计算置信度（模拟）
+     * 获取对照组变体
      */
-    calculateConfidence(testId) {
-        return Math.floor(Math.random() * 30) + 70; // 70-100%的置信度
+    getControlVariant(test) {
+        return test.variants.find(variant => variant.id === 'control') || test.variants[0];
     }
 
     /**
-     * 生成测试建议
+     * 获取测试的分析配置，实验定义中的analysis字段可覆盖全局配置
      */
-    generateTestRecommendations(testId) {
-        const recommendations = [];
+    getAnalysisConfig(test) {
+        const analysis = test.analysis || {};
+        return {
+            confidenceLevel: analysis.confidenceLevel || this.config.confidenceLevel,
+            minSampleSize: analysis.minSampleSize || this.config.minSampleSize,
+            mode: analysis.mode || this.config.analysisMode,
+            tau: analysis.tau || this.config.sequentialTau
+        };
+    }
+
+    /**
+     * 比较单个指标在对照组与实验组之间的差异
+     */
+    compareMetric(metric, controlSample, variantSample, analysisConfig) {
+        const definition = this.getMetricDefinitions()[metric];
+        const a = controlSample[definition.sample];
+        const b = variantSample[definition.sample];
+        
+        let result;
+        let pooledSd;
+        let sizes;
+        if (definition.kind === 'proportion') {
+            result = ABStatistics.twoProportionZTest(
+                a, controlSample.participants, b, variantSample.participants, analysisConfig.confidenceLevel
+            );
+            pooledSd = ABStatistics.pooledProportionSd(a, controlSample.participants, b, variantSample.participants);
+            sizes = [controlSample.participants, variantSample.participants];
+        } else {
+            result = ABStatistics.welchTTest(a, b, analysisConfig.confidenceLevel);
+            pooledSd = ABStatistics.pooledSd(a, b);
+            sizes = [a.length, b.length];
+        }
+        
+        // 序贯模式下以mSPRT的随时有效p值作为判定依据，保留固定样本p值供参考
+        const fixedPValue = result.pValue;
+        let pValue = fixedPValue;
+        if (analysisConfig.mode === 'sequential') {
+            pValue = ABStatistics.mSPRT(result.difference, pooledSd, sizes[0], sizes[1], analysisConfig.tau).pValue;
+        }
+        
+        const enoughSamples = Math.min(...sizes) >= analysisConfig.minSampleSize;
+        
+        return {
+            ...result,
+            fixedPValue,
+            pValue,
+            mode: analysisConfig.mode,
+            sampleSizes: sizes,
+            enoughSamples,
+            significant: enoughSamples && pValue < 1 - analysisConfig.confidenceLevel,
+            improved: definition.higherIsBetter ? result.difference > 0 : result.difference < 0
+        };
+    }
+
+    /**
+     * 分析测试：对每个实验变体与对照组进行显著性检验
+     */
+    analyzeTest(testId, filter = null) {
         const test = this.tests.get(testId);
+        const definitions = this.getMetricDefinitions();
+        const samples = this.collectVariantSamples(testId, filter);
+        const control = this.getControlVariant(test);
+        const analysisConfig = this.getAnalysisConfig(test);
         
-        if (!test) return recommendations;
+        const supportedMetrics = test.metrics.filter(metric => definitions[metric]);
+        const unsupportedMetrics = test.metrics.filter(metric => !definitions[metric]);
+        const primaryMetric = test.primaryMetric || supportedMetrics[0] || null;
         
-        switch (testId) {
-            case 'title-optimization':
-                recommendations.push({
-                    type: 'optimization',
-                    title: '标题长度优化',
-                    description: '建议将标题长度控制在50-60个字符之间，以获得最佳的搜索结果显示效果'
-                });
-                break;
-            case 'meta-description-test':
-                recommendations.push({
-                    type: 'content',
-                    title: '描述内容优化',
-                    description: '在描述中加入行动号召词汇，如"了解更多"、"立即联系"等，可以提高点击率'
+        const comparisons = [];
+        test.variants.forEach(variant => {
+            if (variant.id === control.id) return;
+            
+            supportedMetrics.forEach(metric => {
+                comparisons.push({
+                    metric,
+                    control: control.id,
+                    variant: variant.id,
+                    ...this.compareMetric(metric, samples[control.id], samples[variant.id], analysisConfig)
                 });
-                break;
-            case 'structured-data-test':
-                recommendations.push({
-                    type: 'technical',
-                    title: '结构化数据扩展',
-                    description: '考虑添加更多类型的结构化数据，如技能、项目经验等，以提升搜索可见性'
+            });
+        });
+        
+        return {
+            samples,
+            control: control.id,
+            analysis: analysisConfig,
+            primaryMetric,
+            unsupportedMetrics,
+            comparisons
+        };
+    }
+
+    /**
+     * 获取测试的护栏指标配置
+     */
+    getGuardrails(test) {
+        return test.guardrails || this.config.guardrails;
+    }
+
+    /**
+     * 检查护栏指标，自动停止明显恶化的变体
+     * @returns {Array} 本次新停止的变体
+     */
+    evaluateGuardrails() {
+        const stopped = [];
+        
+        this.tests.forEach((test, testId) => {
+            if (this.getTestStatus(test) !== 'running') return;
+            
+            const samples = this.collectVariantSamples(testId);
+            const control = this.getControlVariant(test);
+            const analysisConfig = this.getAnalysisConfig(test);
+            
+            test.variants.forEach(variant => {
+                if (variant.id === control.id || this.isVariantStopped(testId, variant.id)) return;
+                
+                for (const guardrail of this.getGuardrails(test)) {
+                    const comparison = this.compareMetric(
+                        guardrail.metric, samples[control.id], samples[variant.id], analysisConfig
+                    );
+                    const degradation = comparison.improved ? 0 : Math.abs(comparison.difference);
+                    
+                    if (comparison.significant && degradation > guardrail.maxDegradation) {
+                        const record = this.stopVariant(testId, variant.id, {
+                            metric: guardrail.metric,
+                            degradation,
+                            threshold: guardrail.maxDegradation,
+                            pValue: comparison.pValue
+                        });
+                        stopped.push(record);
+                        break;
+                    }
+                }
+            });
+        });
+        
+        return stopped;
+    }
+
+    /**
+     * 获取被护栏停止的变体
+     * 本浏览器停止的变体保存在localStorage，其他访客停止的变体来自收集器中的variant_stopped事件
+     */
+    getStoppedVariants() {
+        const stopped = JSON.parse(localStorage.getItem('ab_stopped_variants') || '{}');
+        if (this.analytics.collected) {
+            this.analytics.collected.events
+                .filter(event => event.type === 'variant_stopped')
+                .forEach(({ testId, variantId, reason, stoppedAt }) => {
+                    stopped[testId] = stopped[testId] || {};
+                    stopped[testId][variantId] = stopped[testId][variantId] || { testId, variantId, reason, stoppedAt };
                 });
-                break;
+        }
+        return stopped;
+    }
+
+    /**
+     * 判断变体是否已停止
+     */
+    isVariantStopped(testId, variantId) {
+        const stopped = this.getStoppedVariants();
+        return Boolean(stopped[testId] && stopped[testId][variantId]);
+    }
+
+    /**
+     * 停止变体：之后不再分配新用户，已分配用户回到对照组
+     */
+    stopVariant(testId, variantId, reason) {
+        const stopped = this.getStoppedVariants();
+        if (!stopped[testId]) {
+            stopped[testId] = {};
+        }
+        
+        const record = {
+            testId,
+            variantId,
+            reason,
+            stoppedAt: new Date().toISOString()
+        };
+        stopped[testId][variantId] = record;
+        localStorage.setItem('ab_stopped_variants', JSON.stringify(stopped));
+        
+        console.warn(`A/B测试 ${testId} 的变体 ${variantId} 触发护栏指标 ${reason.metric}，已自动停止`);
+        this.sendAnalyticsEvent({
+            type: 'variant_stopped',
+            userId: this.userSegment.userId,
+            ...record,
+            timestamp: record.stoppedAt
+        });
+        
+        return record;
+    }
+
+    /**
+     * 获取参与者数量
+     */
+    getParticipantCount(testId, filter = null) {
+        return this.getVariantAssignments(testId, filter).size;
+    }
+
+    /**
+     * 获取变体指标
+     */
+    getVariantMetrics(testId, variantId, filter = null) {
+        const sample = this.collectVariantSamples(testId, filter)[variantId];
+        if (!sample) return null;
+        
+        const level = this.getAnalysisConfig(this.tests.get(testId)).confidenceLevel;
+        const n = sample.participants;
+        const rate = count => (n ? count / n : 0);
+        
+        return {
+            participants: n,
+            impressions: sample.pageViews,
+            clicks: sample.clicks,
+            conversions: sample.conversions,
+            ctr: rate(sample.clickers),
+            conversionRate: rate(sample.converters),
+            bounceRate: rate(sample.bouncers),
+            engagementRate: rate(sample.engaged),
+            avgSessionDuration: ABStatistics.mean(sample.durations),
+            avgScrollDepth: ABStatistics.mean(sample.scrollDepths),
+            jsErrorRate: rate(sample.errorUsers),
+            avgLCP: sample.lcpValues.length ? ABStatistics.mean(sample.lcpValues) : null,
+            confidenceIntervals: {
+                ctr: ABStatistics.proportionConfidenceInterval(sample.clickers, n, level),
+                conversionRate: ABStatistics.proportionConfidenceInterval(sample.converters, n, level),
+                bounceRate: ABStatistics.proportionConfidenceInterval(sample.bouncers, n, level),
+                avgSessionDuration: ABStatistics.meanConfidenceInterval(sample.durations, level)
+            }
+        };
+    }
+
+    /**
+     * 确定获胜者
+     * 仅当主要指标达到统计显著时返回变体ID，否则返回null
+     */
+    determineWinner(testId, filter = null) {
+        const test = this.tests.get(testId);
+        if (!test) return null;
+        
+        const analysis = this.analyzeTest(testId, filter);
+        const primary = analysis.comparisons.filter(c => c.metric === analysis.primaryMetric);
+        if (primary.length === 0) return null;
+        
+        const winners = primary
+            .filter(c => c.significant && c.improved)
+            .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+        if (winners.length > 0) {
+            return winners[0].variant;
+        }
+        
+        // 所有实验变体都显著劣于对照组时，对照组获胜
+        if (primary.every(c => c.significant && !c.improved)) {
+            return analysis.control;
         }
         
-        return recommendations;
+        return null;
+    }
+
+    /**
+     * 计算置信度（主要指标上最显著比较的 1 - p值，百分比）
+     */
+    calculateConfidence(testId, filter = null) {
+        const analysis = this.analyzeTest(testId, filter);
+        const primary = analysis.comparisons.filter(c => c.metric === analysis.primaryMetric);
+        if (primary.length === 0) return 0;
+        
+        const minPValue = Math.min(...primary.map(c => c.pValue));
+        return Math.round((1 - minPValue) * 1000) / 10;
+    }
+
+    /**
+     * 按用户属性细分测试结果
+     * 例如查看标题变体在百度流量和谷歌流量中的表现差异
+     * @param {string} testId - 测试ID
+     * @param {string[]} attributes - 细分维度
+     */
+    getSegmentedResults(testId, attributes = ['device', 'sourceType', 'source', 'country']) {
+        const test = this.tests.get(testId);
+        if (!test) return null;
+        
+        const participations = this.getCollectedEvents().filter(event =>
+            event.type === 'test_participation' && event.testId === testId && event.segment
+        );
+        
+        const segments = {};
+        attributes.forEach(attribute => {
+            const values = new Set(participations.map(event => event.segment[attribute]));
+            segments[attribute] = {};
+            
+            values.forEach(value => {
+                const filter = { [attribute]: value };
+                segments[attribute][value] = {
+                    participants: this.getParticipantCount(testId, filter),
+                    variants: test.variants.map(variant => ({
+                        id: variant.id,
+                        metrics: this.getVariantMetrics(testId, variant.id, filter)
+                    })),
+                    comparisons: this.analyzeTest(testId, filter).comparisons,
+                    winner: this.determineWinner(testId, filter),
+                    confidence: this.calculateConfidence(testId, filter)
+                };
+            });
+        });
+        
+        return segments;
+    }
+
+    /**
+     * 生成测试建议（来自实验定义）
+     */
+    generateTestRecommendations(testId) {
+        const test = this.tests.get(testId);
+        if (!test) return [];
+        
+        return [...(test.recommendations || [])];
     }
 
     /**
@@ -967,18 +1897,48 @@ class ABTestingFramework {
             tests: Array.from(this.tests.entries()).map(([id, test]) => ({
                 id,
                 ...test,
+                status: this.getTestStatus(test),
+                lifecycle: this.getLifecycleHistory(id),
+                stoppedVariants: this.getStoppedVariants()[id] || {},
                 results: this.getTestResults(id)
             }))
         };
         
         return data;
     }
-}
 
-// 初始化A/B测试框架
-document.addEventListener('DOMContentLoaded', () => {
-    window.abTesting = new ABTestingFramework();
-});
+    /**
+     * 重置当前用户的全部实验数据
+     */
+    resetUserData() {
+        [
+            'ab_user_id',
+            'ab_user_segment',
+            'ab_applied_variants',
+            'ab_forced_variants'
+        ].forEach(key => localStorage.removeItem(key));
+    }
+
+    /**
+     * 销毁框架：停止定时任务并发送剩余数据
+     */
+    destroy() {
+        this.intervals.forEach(interval => clearInterval(interval));
+        this.intervals = [];
+        this.sendBatchAnalytics();
+    }
+
+    /**
+     * 获取共享的实验框架实例，保证全站只有一套用户标识、分组和事件管道
+     */
+    static getInstance() {
+        if (!window.abTesting) {
+            window.abTesting = new ABTestingFramework();
+            window.abTesting.init();
+        }
+        return window.abTesting;
+    }
+}
 
 // 导出供其他模块使用
 if (typeof module !== 'undefined' && module.exports) {
@@ -3,7 +3,16 @@
  * 提升内容质量和搜索引擎理解度
  */
 class ContentSemanticOptimizer {
-    constructor() {
+    /**
+     * @param {SiteProfile} profile - 站点个人资料
+     * @param {Object} services
+     * @param {PageAnalysisCore} services.pageAnalysis - 页面规则分析，标题层级等检查与其他模块共用
+     * @param {TextAnalyzer} services.textAnalyzer - 中文分词和文本统计
+     */
+    constructor(profile, { pageAnalysis, textAnalyzer }) {
+        this.profile = profile;
+        this.textAnalyzer = textAnalyzer;
+        this.pageAnalysis = pageAnalysis;
         this.config = {
             // 关键词密度配置
             keywordDensity: {
@@ -26,7 +35,7 @@ class ContentSemanticOptimizer {
         
         // 主要关键词和语义词汇
         this.keywords = {
-            primary: ['Java开发', '大数据', 'AI开发', '曹洁冰'],
+            primary: ['Java开发', '大数据', 'AI开发', profile.data.name],
             secondary: ['Spring Boot', 'Hadoop', 'Spark', '机器学习', 'Python', 'TensorFlow'],
             semantic: {
                 'Java开发': ['Spring', '微服务', '架构设计', '后端开发', '企业级应用'],
@@ -47,16 +56,28 @@ class ContentSemanticOptimizer {
         };
     }
 
+    /**
+     * 初始化：分析页面内容并应用自动优化
+     * @returns {Object} 内容分析结果
+     */
+    init() {
+        const analysis = this.analyzeContent();
+        this.autoOptimize(analysis.suggestions);
+        console.log('内容语义优化已应用');
+        return analysis;
+    }
+
     /**
      * 分析页面内容质量
      * @returns {Object} 内容分析结果
      */
     analyzeContent() {
-        const content = this.extractPageContent();
+        const rules = this.pageAnalysis.analyze(document);
+        const content = this.extractPageContent(rules.page);
         const analysis = {
             overview: this.getContentOverview(content),
             keywords: this.analyzeKeywords(content),
-            structure: this.analyzeContentStructure(),
+            structure: this.analyzeContentStructure(rules),
             semantic: this.analyzeSemanticRelevance(content),
             readability: this.analyzeReadability(content),
             suggestions: []
@@ -73,16 +94,17 @@ class ContentSemanticOptimizer {
 
     /**
      * 提取页面内容
+     * @param {Object} page 页面规则分析提取的标题、图片和链接
      * @returns {Object} 页面内容对象
      */
-    extractPageContent() {
+    extractPageContent(page) {
         const content = {
-            title: document.title || '',
-            metaDescription: this.getMetaContent('description') || '',
-            headings: this.extractHeadings(),
+            title: page.title,
+            metaDescription: page.description || '',
+            headings: page.headings,
             paragraphs: this.extractParagraphs(),
-            images: this.extractImages(),
-            links: this.extractLinks(),
+            images: page.images,
+            links: page.links,
             fullText: document.body.innerText || ''
         };
         
@@ -95,9 +117,9 @@ class ContentSemanticOptimizer {
      * @returns {Object} 内容概览
      */
     getContentOverview(content) {
-        const wordCount = content.fullText.split(/\s+/).length;
+        const wordCount = this.textAnalyzer.countWords(content.fullText);
         const charCount = content.fullText.length;
-        const readingTime = Math.ceil(wordCount / 200); // 假设每分钟200字
+        const readingTime = this.textAnalyzer.estimateReadingTime(content.fullText);
         
         return {
             wordCount,
@@ -116,8 +138,7 @@ class ContentSemanticOptimizer {
      * @returns {Object} 关键词分析结果
      */
     analyzeKeywords(content) {
-        const text = content.fullText.toLowerCase();
-        const wordCount = text.split(/\s+/).length;
+        const text = content.fullText;
         const analysis = {
             primary: {},
             secondary: {},
@@ -126,39 +147,36 @@ class ContentSemanticOptimizer {
         };
         
         // 分析主要关键词
-        this.keywords.primary.forEach(keyword => {
-            const count = this.countKeywordOccurrences(text, keyword.toLowerCase());
-            const density = (count / wordCount) * 100;
-            
+        const primary = this.textAnalyzer.keywordDensity(text, this.keywords.primary);
+        Object.entries(primary).forEach(([keyword, data]) => {
             analysis.primary[keyword] = {
-                count,
-                density: parseFloat(density.toFixed(2)),
-                status: this.getKeywordStatus(density)
+                ...data,
+                status: this.getKeywordStatus(data.density)
             };
         });
         
         // 分析次要关键词
-        this.keywords.secondary.forEach(keyword => {
-            const count = this.countKeywordOccurrences(text, keyword.toLowerCase());
-            const density = (count / wordCount) * 100;
-            
-            analysis.secondary[keyword] = {
-                count,
-                density: parseFloat(density.toFixed(2))
-            };
-        });
+        analysis.secondary = this.textAnalyzer.keywordDensity(text, this.keywords.secondary);
         
         return analysis;
     }
 
     /**
      * 分析内容结构
+     * @param {Object} rules 页面规则分析结果
      * @returns {Object} 结构分析结果
      */
-    analyzeContentStructure() {
-        const headings = this.extractHeadings();
+    analyzeContentStructure(rules) {
         const structure = {
-            hierarchy: this.analyzeHeadingHierarchy(headings),
+            hierarchy: {
+                valid: this.pageAnalysis.getIssues(rules, 'headings').length === 0,
+                score: rules.categories.headings,
+                issues: this.pageAnalysis.getIssues(rules, 'headings').map(issue => issue.message)
+            },
+            rules: {
+                score: rules.score,
+                issues: rules.issues
+            },
             distribution: this.analyzeContentDistribution(),
             navigation: this.analyzeNavigationStructure(),
             schema: this.analyzeSchemaMarkup()
@@ -211,33 +229,19 @@ class ContentSemanticOptimizer {
      * @returns {Object} 可读性分析结果
      */
     analyzeReadability(content) {
-        const text = content.fullText;
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        const words = text.split(/\s+/).filter(w => w.length > 0);
-        
-        const avgWordsPerSentence = words.length / sentences.length;
-        const avgCharsPerWord = text.replace(/\s/g, '').length / words.length;
-        
-        // 简化的可读性评分（基于句子长度和词汇复杂度）
-        let readabilityScore = 100;
-        
-        // 句子长度惩罚
-        if (avgWordsPerSentence > 20) {
-            readabilityScore -= (avgWordsPerSentence - 20) * 2;
-        }
-        
-        // 词汇复杂度惩罚
-        if (avgCharsPerWord > 6) {
-            readabilityScore -= (avgCharsPerWord - 6) * 5;
-        }
+        const readability = this.textAnalyzer.readability(content.fullText);
         
         return {
-            score: Math.max(0, Math.min(100, readabilityScore)),
-            avgWordsPerSentence: parseFloat(avgWordsPerSentence.toFixed(2)),
-            avgCharsPerWord: parseFloat(avgCharsPerWord.toFixed(2)),
-            sentenceCount: sentences.length,
-            wordCount: words.length,
-            level: this.getReadabilityLevel(readabilityScore)
+            score: readability.score,
+            avgWordsPerSentence: readability.avgWordsPerSentence,
+            avgSentenceLength: readability.avgSentenceLength,
+            avgCharsPerWord: readability.wordCount > 0
+                ? parseFloat((readability.characterCount / readability.wordCount).toFixed(2))
+                : 0,
+            difficultWordRatio: readability.difficultWordRatio,
+            sentenceCount: readability.sentenceCount,
+            wordCount: readability.wordCount,
+            level: readability.level
         };
     }
 
@@ -294,6 +298,18 @@ class ContentSemanticOptimizer {
             }
         });
         
+        // 页面规则建议（标题、描述、标题层级、图片alt、链接）
+        analysis.structure.rules.issues.forEach(issue => {
+            suggestions.push({
+                type: 'structure',
+                priority: issue.severity === 'error' ? 'high' : 'medium',
+                title: issue.title,
+                description: issue.message,
+                action: 'review_page_rule', // 需要人工修改页面，不做自动优化
+                rule: issue.id
+            });
+        });
+        
         // 可读性建议
         if (analysis.readability.score < 60) {
             suggestions.push({
@@ -371,10 +387,11 @@ class ContentSemanticOptimizer {
      */
     addMissingMetaTags() {
         // 添加缺失的meta标签
+        const { name, keywords } = this.profile.data;
         const metaTags = [
-            { name: 'author', content: '曹洁冰' },
-            { name: 'keywords', content: 'Java开发,大数据,AI开发,Spring Boot,Hadoop,机器学习' },
-            { property: 'article:author', content: '曹洁冰' },
+            { name: 'author', content: name },
+            { name: 'keywords', content: keywords.join(',') },
+            { property: 'article:author', content: name },
             { property: 'article:section', content: '技术博客' }
         ];
         
@@ -382,7 +399,7 @@ class ContentSemanticOptimizer {
             if (!this.getMetaContent(tag.name || tag.property)) {
                 const meta = document.createElement('meta');
                 if (tag.name) meta.name = tag.name;
-                if (tag.property) meta.property = tag.property;
+                if (tag.property) meta.setAttribute('property', tag.property);
                 meta.content = tag.content;
                 document.head.appendChild(meta);
             }
@@ -421,7 +438,7 @@ class ContentSemanticOptimizer {
                 section.setAttribute('itemtype', 'https://schema.org/Person');
             } else if (id === 'skills') {
                 section.setAttribute('itemscope', '');
-                section.setAttribute('itemtype', 'https://schema.org/SkillSet');
+                section.setAttribute('itemtype', 'https://schema.org/DefinedTermSet');
             } else if (id === 'projects') {
                 section.setAttribute('itemscope', '');
                 section.setAttribute('itemtype', 'https://schema.org/CreativeWork');
@@ -456,18 +473,6 @@ class ContentSemanticOptimizer {
         return meta ? meta.content : null;
     }
 
-    extractHeadings() {
-        const headings = [];
-        document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
-            headings.push({
-                level: parseInt(heading.tagName.charAt(1)),
-                text: heading.textContent.trim(),
-                id: heading.id || ''
-            });
-        });
-        return headings;
-    }
-
     extractParagraphs() {
         const paragraphs = [];
         document.querySelectorAll('p').forEach(p => {
@@ -478,35 +483,8 @@ class ContentSemanticOptimizer {
         return paragraphs;
     }
 
-    extractImages() {
-        const images = [];
-        document.querySelectorAll('img').forEach(img => {
-            images.push({
-                src: img.src,
-                alt: img.alt || '',
-                title: img.title || ''
-            });
-        });
-        return images;
-    }
-
-    extractLinks() {
-        const links = [];
-        document.querySelectorAll('a[href]').forEach(link => {
-            links.push({
-                href: link.href,
-                text: link.textContent.trim(),
-                title: link.title || '',
-                isInternal: link.href.startsWith(window.location.origin)
-            });
-        });
-        return links;
-    }
-
     countKeywordOccurrences(text, keyword) {
-        const regex = new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-        const matches = text.match(regex);
-        return matches ? matches.length : 0;
+        return this.textAnalyzer.countOccurrences(text, keyword);
     }
 
     getKeywordStatus(density) {
@@ -515,33 +493,12 @@ class ContentSemanticOptimizer {
         return 'optimal';
     }
 
-    analyzeHeadingHierarchy(headings) {
-        const hierarchy = { valid: true, issues: [] };
-        let previousLevel = 0;
-        
-        headings.forEach((heading, index) => {
-            if (index === 0 && heading.level !== 1) {
-                hierarchy.valid = false;
-                hierarchy.issues.push('页面应该以H1标题开始');
-            }
-            
-            if (heading.level - previousLevel > 1) {
-                hierarchy.valid = false;
-                hierarchy.issues.push(`标题层级跳跃：从H${previousLevel}直接到H${heading.level}`);
-            }
-            
-            previousLevel = heading.level;
-        });
-        
-        return hierarchy;
-    }
-
     analyzeContentDistribution() {
         const sections = document.querySelectorAll('section');
         const distribution = [];
         
         sections.forEach(section => {
-            const wordCount = section.textContent.split(/\s+/).length;
+            const wordCount = this.textAnalyzer.countWords(section.textContent);
             distribution.push({
                 id: section.id || 'unnamed',
                 wordCount,
@@ -583,7 +540,8 @@ class ContentSemanticOptimizer {
 
     calculateSemanticDensity(text) {
         let semanticTermCount = 0;
-        const totalWords = text.split(/\s+/).length;
+        const totalWords = this.textAnalyzer.countWords(text);
+        if (totalWords === 0) return 0;
         
         Object.values(this.keywords.semantic).forEach(terms => {
             terms.forEach(term => {
@@ -594,15 +552,6 @@ class ContentSemanticOptimizer {
         return parseFloat(((semanticTermCount / totalWords) * 100).toFixed(2));
     }
 
-    getReadabilityLevel(score) {
-        if (score >= 90) return '非常易读';
-        if (score >= 80) return '易读';
-        if (score >= 70) return '较易读';
-        if (score >= 60) return '标准';
-        if (score >= 50) return '较难读';
-        return '难读';
-    }
-
     calculateKeywordScore(keywords) {
         let score = 0;
         let totalKeywords = 0;
@@ -622,11 +571,8 @@ class ContentSemanticOptimizer {
     }
 
     calculateStructureScore(structure) {
-        let score = 100;
-        
-        if (!structure.hierarchy.valid) {
-            score -= structure.hierarchy.issues.length * 10;
-        }
+        // 标题规则的评分与SEOAnalyzer、SEOMonitoringAnalytics一致
+        let score = structure.hierarchy.score;
         
         if (!structure.navigation.hasMainNav) score -= 20;
         if (!structure.schema.hasJsonLd) score -= 15;
@@ -13,7 +13,8 @@ class CoreWebVitalsMonitor {
             fcp: null,
             ttfb: null
         };
-        this.init();
+        this.observers = [];
+        this.reportTimer = null;
     }
 
     /**
@@ -29,6 +30,15 @@ class CoreWebVitalsMonitor {
         this.reportVitals();
     }
 
+    /**
+     * 停止监控
+     */
+    destroy() {
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+        clearTimeout(this.reportTimer);
+    }
+
     /**
      * 测量Largest Contentful Paint (LCP)
      * 目标: < 2.5秒
@@ -47,6 +57,7 @@ class CoreWebVitalsMonitor {
                 }
             });
             observer.observe({ entryTypes: ['largest-contentful-paint'] });
+            this.observers.push(observer);
         }
     }
 
@@ -68,6 +79,7 @@ class CoreWebVitalsMonitor {
                 });
             });
             observer.observe({ entryTypes: ['first-input'] });
+            this.observers.push(observer);
         }
     }
 
@@ -93,6 +105,7 @@ class CoreWebVitalsMonitor {
                 }
             });
             observer.observe({ entryTypes: ['layout-shift'] });
+            this.observers.push(observer);
         }
     }
 
@@ -111,6 +124,7 @@ class CoreWebVitalsMonitor {
                 });
             });
             observer.observe({ entryTypes: ['paint'] });
+            this.observers.push(observer);
         }
     }
 
@@ -318,7 +332,7 @@ class CoreWebVitalsMonitor {
      */
     reportVitals() {
         // 延迟报告，确保所有指标都已收集
-        setTimeout(() => {
+        this.reportTimer = setTimeout(() => {
             const report = {
                 url: window.location.href,
                 timestamp: Date.now(),
@@ -351,9 +365,11 @@ class CoreWebVitalsMonitor {
      * 发送数据到分析服务
      */
     sendToAnalytics(report) {
-        // 使用sendBeacon API发送数据
-        if ('sendBeacon' in navigator) {
-            const data = JSON.stringify(report);
+        // 使用sendBeacon API发送数据，离线时由网络状态模块排队
+        const data = JSON.stringify(report);
+        if (window.networkStatus) {
+            window.networkStatus.sendBeacon('/api/vitals', data);
+        } else if ('sendBeacon' in navigator) {
             navigator.sendBeacon('/api/vitals', data);
         }
     }
@@ -388,11 +404,6 @@ class CoreWebVitalsMonitor {
     }
 }
 
-// 初始化Core Web Vitals监控
-document.addEventListener('DOMContentLoaded', () => {
-    window.coreWebVitalsMonitor = new CoreWebVitalsMonitor();
-});
-
 // 导出供其他模块使用
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = CoreWebVitalsMonitor;
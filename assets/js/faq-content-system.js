@@ -3,12 +3,17 @@
  * 提升语义搜索效果和用户体验
  */
 class FAQContentSystem {
-    constructor() {
+    /**
+     * @param {SiteProfile} profile - 站点个人资料
+     */
+    constructor(profile) {
+        const { experience } = profile.data;
+        this.profile = profile;
         this.faqData = [
             {
                 id: 'java-experience',
                 question: '您有多少年Java开发经验？',
-                answer: '我有8年的Java开发经验，精通Spring生态系统、微服务架构设计和高并发系统优化。在这8年中，我参与了多个大型企业级项目的架构设计和开发工作。',
+                answer: `我有${experience.java}年的Java开发经验，精通Spring生态系统、微服务架构设计和高并发系统优化。在这${experience.java}年中，我参与了多个大型企业级项目的架构设计和开发工作。`,
                 keywords: ['Java', '开发经验', 'Spring', '微服务', '架构'],
                 category: 'experience',
                 relatedTopics: ['spring-expertise', 'microservices-architecture', 'performance-optimization']
@@ -24,7 +29,7 @@ class FAQContentSystem {
             {
                 id: 'bigdata-experience',
                 question: '您在大数据领域有哪些技术栈和项目经验？',
-                answer: '我有6年的大数据开发经验，深度掌握Hadoop生态系统、Spark、Kafka、Flink等技术。曾负责构建企业级数据仓库，处理PB级数据，实现实时数据处理和分析系统。',
+                answer: `我有${experience.bigData}年的大数据开发经验，深度掌握Hadoop生态系统、Spark、Kafka、Flink等技术。曾负责构建企业级数据仓库，处理PB级数据，实现实时数据处理和分析系统。`,
                 keywords: ['大数据', 'Hadoop', 'Spark', 'Kafka', 'Flink', '数据仓库'],
                 category: 'technical-skills',
                 relatedTopics: ['data-processing', 'real-time-analytics', 'data-warehouse']
@@ -3,29 +3,24 @@
  * 提供本地搜索优化和结构化数据增强功能
  */
 class LocalSEOOptimizer {
-    constructor() {
+    /**
+     * @param {SiteProfile} profile - 站点个人资料
+     */
+    constructor(profile) {
+        const data = profile.data;
+        this.profile = profile;
         this.businessInfo = {
-            name: '曹洁冰',
+            name: data.name,
             type: 'Person',
-            jobTitle: '高级技术专家',
-            description: '资深Java开发工程师，大数据专家，AI应用开发工程师',
-            location: {
-                city: '北京',
-                country: '中国',
-                region: '北京市'
-            },
-            skills: [
-                'Java开发', 'Spring Boot', 'Spring Cloud',
-                '大数据开发', 'Hadoop', 'Spark', 'Kafka', 'Flink',
-                'AI开发', 'Python', 'TensorFlow', 'PyTorch', '机器学习'
-            ],
-            certifications: [
-                'AI应用工程师认证',
-                'Java架构师认证'
-            ],
-            experience: '8年Java开发经验，6年大数据开发经验，1年AI开发经验',
-            website: 'https://caojiebing.github.io',
-            email: 'contact@caojiebing.com'
+            jobTitle: data.jobTitle,
+            description: data.description,
+            location: data.location,
+            skills: data.skills,
+            certifications: data.certifications,
+            experience: profile.getExperienceSummary(),
+            website: data.site.url,
+            email: data.email,
+            telephone: data.telephone
         };
         
         this.structuredDataSchemas = {
@@ -96,6 +91,12 @@ class LocalSEOOptimizer {
             "@type": "ProfessionalService",
             "name": `${this.businessInfo.name} - 技术咨询服务`,
             "description": "提供Java开发、大数据处理、AI应用开发等技术咨询服务",
+            "address": {
+                "@type": "PostalAddress",
+                "addressLocality": this.businessInfo.location.city,
+                "addressRegion": this.businessInfo.location.region,
+                "addressCountry": this.businessInfo.location.country
+            },
             "provider": {
                 "@type": "Person",
                 "name": this.businessInfo.name,
@@ -130,7 +131,7 @@ class LocalSEOOptimizer {
             "@context": "https://schema.org",
             "@type": "WebSite",
             "name": `${this.businessInfo.name}个人网站`,
-            "description": this.businessInfo.description,
+            "description": this.profile.data.site.description,
             "url": this.businessInfo.website,
             "author": {
                 "@type": "Person",
@@ -172,14 +173,15 @@ class LocalSEOOptimizer {
      * 创建FAQ页面结构化数据
      */
     createFAQPageSchema() {
+        const { experience } = this.profile.data;
         const faqs = [
             {
                 question: "您有多少年的Java开发经验？",
-                answer: "我有8年的Java开发经验，熟练掌握Spring Boot、Spring Cloud等主流框架。"
+                answer: `我有${experience.java}年的Java开发经验，熟练掌握Spring Boot、Spring Cloud等主流框架。`
             },
             {
                 question: "您在大数据领域有哪些技术专长？",
-                answer: "我在大数据领域有6年经验，精通Hadoop、Spark、Kafka、Flink等技术栈。"
+                answer: `我在大数据领域有${experience.bigData}年经验，精通Hadoop、Spark、Kafka、Flink等技术栈。`
             },
             {
                 question: "您是否提供技术咨询服务？",
@@ -239,11 +241,12 @@ class LocalSEOOptimizer {
      * 添加地理位置meta标签
      */
     addGeoMetaTags() {
+        const { city, regionCode, latitude, longitude } = this.businessInfo.location;
         const geoTags = [
-            { name: 'geo.region', content: 'CN-BJ' },
-            { name: 'geo.placename', content: '北京' },
-            { name: 'geo.position', content: '39.9042;116.4074' },
-            { name: 'ICBM', content: '39.9042, 116.4074' }
+            { name: 'geo.region', content: regionCode },
+            { name: 'geo.placename', content: city },
+            { name: 'geo.position', content: `${latitude};${longitude}` },
+            { name: 'ICBM', content: `${latitude}, ${longitude}` }
         ];
 
         geoTags.forEach(tag => {
@@ -260,19 +263,20 @@ class LocalSEOOptimizer {
      * 优化地理内容
      */
     optimizeGeoContent() {
+        const { name, location: { city } } = this.businessInfo;
         const title = document.querySelector('title');
-        if (title && !title.textContent.includes('北京')) {
+        if (title && !title.textContent.includes(city)) {
             title.textContent = title.textContent.replace(
-                '曹洁冰',
-                '曹洁冰 - 北京技术专家'
+                name,
+                `${name} - ${city}技术专家`
             );
         }
 
         const description = document.querySelector('meta[name="description"]');
-        if (description && !description.content.includes('北京')) {
+        if (description && !description.content.includes(city)) {
             description.content = description.content.replace(
                 '资深技术专家',
-                '北京资深技术专家'
+                `${city}资深技术专家`
             );
         }
     }
@@ -283,13 +287,9 @@ class LocalSEOOptimizer {
     addLocalKeywords() {
         const keywords = document.querySelector('meta[name="keywords"]');
         if (keywords) {
-            const localKeywords = [
-                '北京Java开发',
-                '北京大数据工程师',
-                '北京AI开发',
-                '北京技术咨询',
-                '北京软件开发'
-            ];
+            const { city } = this.businessInfo.location;
+            const localKeywords = ['Java开发', '大数据工程师', 'AI开发', '技术咨询', '软件开发']
+                .map(keyword => `${city}${keyword}`);
             
             const currentKeywords = keywords.content.split(',').map(k => k.trim());
             const newKeywords = [...currentKeywords, ...localKeywords];
@@ -314,11 +314,11 @@ class LocalSEOOptimizer {
             },
             "geo": {
                 "@type": "GeoCoordinates",
-                "latitude": "39.9042",
-                "longitude": "116.4074"
+                "latitude": String(this.businessInfo.location.latitude),
+                "longitude": String(this.businessInfo.location.longitude)
             },
             "url": this.businessInfo.website,
-            "telephone": "+86-xxx-xxxx-xxxx",
+            "telephone": this.businessInfo.telephone,
             "email": this.businessInfo.email,
             "openingHours": "Mo-Fr 09:00-18:00",
             "priceRange": "$$",
@@ -341,8 +341,8 @@ class LocalSEOOptimizer {
         const contactSchema = {
             "@context": "https://schema.org",
             "@type": "ContactPage",
-            "name": "联系曹洁冰",
-            "description": "与技术专家曹洁冰取得联系",
+            "name": `联系${this.businessInfo.name}`,
+            "description": `与技术专家${this.businessInfo.name}取得联系`,
             "url": `${this.businessInfo.website}#contact`,
             "mainEntity": {
                 "@type": "Person",
@@ -403,11 +403,11 @@ class LocalSEOOptimizer {
             "areaServed": [
                 {
                     "@type": "Country",
-                    "name": "中国"
+                    "name": this.businessInfo.location.country
                 },
                 {
                     "@type": "City",
-                    "name": "北京"
+                    "name": this.businessInfo.location.city
                 },
                 {
                     "@type": "City",
@@ -442,13 +442,7 @@ class LocalSEOOptimizer {
      */
     optimizeForVoiceSearch() {
         // 添加自然语言问答内容
-        const voiceSearchQuestions = [
-            "谁是曹洁冰",
-            "曹洁冰的技能有哪些",
-            "如何联系曹洁冰",
-            "曹洁冰在哪里工作",
-            "曹洁冰有什么经验"
-        ];
+        const voiceSearchQuestions = Object.keys(this.getVoiceSearchAnswers());
 
         // 为语音搜索优化页面内容
         this.addVoiceSearchContent(voiceSearchQuestions);
@@ -459,15 +453,15 @@ class LocalSEOOptimizer {
 
     /**
      * 添加语音搜索内容
+     * 多个站长自答的问题属于FAQPage（QAPage只适用于单个用户提问的页面），与页面的FAQPage合并
      */
     addVoiceSearchContent(questions) {
         const voiceSearchData = {
             "@context": "https://schema.org",
-            "@type": "QAPage",
+            "@type": "FAQPage",
             "mainEntity": questions.map(question => ({
                 "@type": "Question",
                 "name": question,
-                "answerCount": 1,
                 "acceptedAnswer": {
                     "@type": "Answer",
                     "text": this.generateAnswerForQuestion(question)
@@ -486,17 +480,24 @@ class LocalSEOOptimizer {
      * 为问题生成答案
      */
     generateAnswerForQuestion(question) {
-        const answers = {
-            "谁是曹洁冰": `${this.businessInfo.name}是一位${this.businessInfo.jobTitle}，${this.businessInfo.description}。`,
-            "曹洁冰的技能有哪些": `曹洁冰的主要技能包括：${this.businessInfo.skills.join('、')}。`,
-            "如何联系曹洁冰": `您可以通过邮箱${this.businessInfo.email}或访问网站${this.businessInfo.website}联系曹洁冰。`,
-            "曹洁冰在哪里工作": `曹洁冰在${this.businessInfo.location.city}提供技术服务。`,
-            "曹洁冰有什么经验": this.businessInfo.experience
-        };
-
+        const answers = this.getVoiceSearchAnswers();
         return answers[question] || `关于${question}的详细信息，请访问${this.businessInfo.website}了解更多。`;
     }
 
+    /**
+     * 语音搜索问题及答案
+     */
+    getVoiceSearchAnswers() {
+        const { name, jobTitle, description, skills, email, website, location, experience } = this.businessInfo;
+        return {
+            [`谁是${name}`]: `${name}是一位${jobTitle}，${description}。`,
+            [`${name}的技能有哪些`]: `${name}的主要技能包括：${skills.join('、')}。`,
+            [`如何联系${name}`]: `您可以通过邮箱${email}或访问网站${website}联系${name}。`,
+            [`${name}在哪里工作`]: `${name}在${location.city}提供技术服务。`,
+            [`${name}有什么经验`]: experience
+        };
+    }
+
     /**
      * 增强FAQ以支持语音搜索
      */
@@ -564,7 +565,7 @@ class LocalSEOOptimizer {
      */
     hasLocalKeywords() {
         const keywords = document.querySelector('meta[name="keywords"]');
-        return keywords && keywords.content.includes('北京');
+        return keywords && keywords.content.includes(this.businessInfo.location.city);
     }
 
     /**
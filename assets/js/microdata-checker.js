@@ -0,0 +1,519 @@
+/**
+ * 微数据一致性检查与自动修复
+ * index.html 中的 itemscope/itemtype/itemprop，以及ContentSemanticOptimizer、LocalSEOOptimizer运行时添加的微数据，
+ * 按HTML微数据规范从DOM构建条目树，检查未知类型、放错位置的itemprop、属性值类型不符，
+ * 以及截断外层条目属性的嵌套itemscope；可以自动修复，或把微数据转换为等价的JSON-LD
+ */
+
+class MicrodataChecker {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.mode] - 初始化时的处理方式：report 只报告，fix 自动修复，convert 转换为JSON-LD
+     */
+    constructor(options = {}) {
+        this.config = {
+            mode: options.mode || 'fix',
+            vocabulary: 'https://schema.org/',
+            maxFixPasses: 3 // 修复后重新检查的最大轮数（修改类型后可能产生新的可修复问题）
+        };
+
+        this.result = null;
+    }
+
+    /**
+     * 初始化：按配置报告、修复或转换页面中的微数据
+     */
+    init() {
+        if (this.config.mode === 'convert') {
+            this.convert();
+        } else if (this.config.mode === 'fix') {
+            this.fix();
+        }
+
+        this.result = this.check();
+        if (this.result.issues.length > 0) {
+            console.group(`⚠️ 微数据存在 ${this.result.issues.length} 个问题`);
+            this.result.issues.forEach(issue => {
+                const log = issue.severity === 'error' ? console.error : console.warn;
+                log(`[${issue.type}] ${issue.entity}${issue.property ? '.' + issue.property : ''}: ${issue.message}（${issue.source}）`);
+            });
+            console.groupEnd();
+        }
+
+        return this.result;
+    }
+
+    /**
+     * 从DOM提取微数据条目树
+     * @returns {Object} { items: 顶层条目, properties: 所有被条目收录的itemprop元素 }
+     */
+    extract(doc = document) {
+        const claimed = new Set();
+        const items = Array.from(doc.querySelectorAll('[itemscope]'))
+            .filter(element => !element.hasAttribute('itemprop') || !this.findParentScope(element))
+            .map(element => this.createItem(element, null, doc, claimed));
+
+        return { items, properties: claimed };
+    }
+
+    /**
+     * 创建条目并收集其属性（遇到嵌套的itemscope时不再向下查找）
+     */
+    createItem(element, parent, doc, claimed) {
+        const types = this.getTypes(element);
+        const item = {
+            element,
+            parent,
+            types,
+            typeUrls: (element.getAttribute('itemtype') || '').trim().split(/\s+/).filter(Boolean),
+            properties: {},
+            label: (parent ? `${parent.label} > ` : '') + (types.join('/') || '(无类型)')
+        };
+
+        const roots = [element];
+        (element.getAttribute('itemref') || '').trim().split(/\s+/).filter(Boolean).forEach(id => {
+            const referenced = doc.getElementById(id);
+            if (referenced) roots.push(referenced);
+        });
+
+        const visit = (node, isRoot) => {
+            if (!isRoot && node.hasAttribute('itemprop')) {
+                claimed.add(node);
+                const value = node.hasAttribute('itemscope')
+                    ? this.createItem(node, item, doc, claimed)
+                    : this.getValue(node);
+
+                node.getAttribute('itemprop').trim().split(/\s+/).forEach(name => {
+                    (item.properties[name] = item.properties[name] || []).push({ element: node, value });
+                });
+            }
+            if (!isRoot && node.hasAttribute('itemscope')) return;
+            Array.from(node.children).forEach(child => visit(child, false));
+        };
+
+        roots.forEach(root => visit(root, root === element));
+        return item;
+    }
+
+    /**
+     * 按微数据规范读取属性值
+     */
+    getValue(element) {
+        switch (element.tagName) {
+            case 'META':
+                return element.getAttribute('content') || '';
+            case 'AUDIO': case 'EMBED': case 'IFRAME': case 'IMG': case 'SOURCE': case 'TRACK': case 'VIDEO':
+                return element.getAttribute('src') || '';
+            case 'A': case 'AREA': case 'LINK':
+                return element.getAttribute('href') || '';
+            case 'OBJECT':
+                return element.getAttribute('data') || '';
+            case 'DATA': case 'METER':
+                return element.getAttribute('value') || '';
+            case 'TIME':
+                return element.getAttribute('datetime') || element.textContent.trim();
+            default:
+                return element.textContent.replace(/\s+/g, ' ').trim();
+        }
+    }
+
+    /**
+     * 检查页面中的微数据
+     * @returns {Object} { items, issues }
+     */
+    check(doc = document) {
+        const { items, properties } = this.extract(doc);
+        const issues = [];
+
+        items.forEach(item => this.checkItem(item, issues));
+
+        // 不属于任何条目的itemprop
+        doc.querySelectorAll('[itemprop]').forEach(element => {
+            if (!properties.has(element)) {
+                issues.push(this.createIssue('orphan_itemprop', '(页面)', element.getAttribute('itemprop'),
+                    '该itemprop不在任何itemscope内，不会被搜索引擎读取', element,
+                    { action: 'removeProperty', element, property: element.getAttribute('itemprop') }));
+            }
+        });
+
+        return { items, issues };
+    }
+
+    /**
+     * 递归检查条目
+     */
+    checkItem(item, issues) {
+        const { element } = item;
+
+        if (item.typeUrls.length === 0) {
+            issues.push(this.createIssue('missing_type', item.label, null, 'itemscope缺少itemtype', element, null));
+        }
+        item.typeUrls.forEach(url => {
+            const type = this.getTypeName(url);
+            if (!url.startsWith(this.config.vocabulary) && !url.startsWith('http://schema.org/')) {
+                issues.push(this.createIssue('unknown_vocabulary', item.label, null, `itemtype "${url}" 不是schema.org词汇`, element, null));
+            } else if (MicrodataChecker.TYPE_REPLACEMENTS[type]) {
+                const replacement = MicrodataChecker.TYPE_REPLACEMENTS[type];
+                issues.push(this.createIssue('unknown_type', item.label, null,
+                    `schema.org中不存在类型 "${type}"，可改为 ${replacement}`, element,
+                    { action: 'replaceType', element, from: url, to: this.config.vocabulary + replacement }));
+            } else if (!MicrodataChecker.VOCABULARY[type]) {
+                // 内置词表只包含schema.org的一部分类型，词表外的类型可能有效，只提示人工确认，不检查其属性
+                issues.push(this.createIssue('unlisted_type', item.label, null,
+                    `类型 "${type}" 不在内置词表中，无法校验其属性`, element, null));
+            }
+        });
+
+        const knownTypes = item.types.filter(type => MicrodataChecker.VOCABULARY[type]);
+
+        Object.entries(item.properties).forEach(([name, values]) => {
+            values.forEach(({ element: propertyElement, value }) => {
+                // 属性不属于当前类型：如果属于外层条目，说明被嵌套的itemscope截断了
+                if (knownTypes.length > 0 && !knownTypes.some(type => this.hasProperty(type, name))) {
+                    const owner = this.findOwner(item.parent || this.findParentItem(item), name);
+                    issues.push(owner
+                        ? this.createIssue('captured_itemprop', item.label, name,
+                            `属性属于外层的 ${owner.types.join('/')}，但被嵌套的 ${item.types.join('/')} itemscope截断`, propertyElement,
+                            this.isCapturingScope(item) ? { action: 'removeScope', element } : null)
+                        : this.createIssue('misplaced_itemprop', item.label, name,
+                            `${item.types.join('/')} 没有属性 ${name}`, propertyElement,
+                            { action: 'removeProperty', element: propertyElement, property: name }));
+                    return;
+                }
+
+                if (typeof value === 'object') {
+                    const range = MicrodataChecker.RANGES[name];
+                    const valueTypes = value.types.filter(type => MicrodataChecker.VOCABULARY[type]);
+                    if (range && valueTypes.length > 0 && !valueTypes.some(type => range.some(expected => this.isSubtype(type, expected)))) {
+                        issues.push(this.createIssue('type_mismatch', item.label, name,
+                            `${name} 的值应为 ${range.join('/')}，实际为 ${value.types.join('/')}`, propertyElement,
+                            { action: 'removeProperty', element: propertyElement, property: name }));
+                    }
+                    this.checkItem(value, issues);
+                } else if (value === '') {
+                    issues.push(this.createIssue('empty_value', item.label, name, '属性值为空', propertyElement, null));
+                }
+            });
+        });
+
+        // 没有itemprop的嵌套itemscope是独立条目，外层条目有对应属性时应建立关联
+        this.findNestedItems(item).forEach(nested => {
+            const link = this.getLinkProperty(item, nested);
+            if (link) {
+                issues.push(this.createIssue('detached_scope', nested.label, link,
+                    `嵌套在 ${item.types.join('/')} 中但没有itemprop，可作为其 ${link} 属性`, nested.element,
+                    { action: 'addProperty', element: nested.element, property: link }));
+            }
+        });
+    }
+
+    /**
+     * 查找条目范围内没有itemprop的嵌套itemscope（它们在extract中已作为顶层条目）
+     */
+    findNestedItems(item) {
+        const nested = [];
+        const visit = node => {
+            Array.from(node.children).forEach(child => {
+                if (child.hasAttribute('itemscope')) {
+                    if (!child.hasAttribute('itemprop')) {
+                        nested.push({ element: child, types: this.getTypes(child), label: `${item.label} > ${this.getTypes(child).join('/') || '(无类型)'}` });
+                    }
+                    return;
+                }
+                visit(child);
+            });
+        };
+        visit(item.element);
+        return nested;
+    }
+
+    /**
+     * 外层条目中可以关联嵌套条目的属性
+     */
+    getLinkProperty(parent, nested) {
+        for (const parentType of parent.types) {
+            const links = MicrodataChecker.LINK_PROPERTIES[parentType] || {};
+            for (const nestedType of nested.types) {
+                const match = Object.keys(links).find(type => this.isSubtype(nestedType, type));
+                if (match) return links[match];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 嵌套条目的所有属性都不属于自身类型时，去掉itemscope即可让属性回到外层条目
+     */
+    isCapturingScope(item) {
+        const knownTypes = item.types.filter(type => MicrodataChecker.VOCABULARY[type]);
+        return !item.element.hasAttribute('itemprop') &&
+            Object.keys(item.properties).every(name => !knownTypes.some(type => this.hasProperty(type, name)));
+    }
+
+    /**
+     * 自动修复可修复的问题，修复后重新检查直到没有可修复的问题
+     * @returns {Array} 已应用的修复
+     */
+    fix(doc = document) {
+        const applied = [];
+        for (let pass = 0; pass < this.config.maxFixPasses; pass++) {
+            const fixes = this.check(doc).issues.filter(issue => issue.fix).map(issue => issue.fix);
+            if (fixes.length === 0) break;
+
+            fixes.forEach(fix => {
+                this.applyFix(fix);
+                applied.push({ action: fix.action, property: fix.property, from: fix.from, to: fix.to, source: this.describeElement(fix.element) });
+            });
+        }
+        return applied;
+    }
+
+    applyFix(fix) {
+        const { element } = fix;
+        switch (fix.action) {
+            case 'replaceType':
+                element.setAttribute('itemtype', element.getAttribute('itemtype').replace(fix.from, fix.to));
+                break;
+            case 'removeProperty': {
+                const remaining = (element.getAttribute('itemprop') || '').split(/\s+/).filter(name => name && name !== fix.property);
+                if (remaining.length > 0) {
+                    element.setAttribute('itemprop', remaining.join(' '));
+                } else {
+                    element.removeAttribute('itemprop');
+                }
+                break;
+            }
+            case 'addProperty':
+                element.setAttribute('itemprop', fix.property);
+                break;
+            case 'removeScope':
+                element.removeAttribute('itemscope');
+                element.removeAttribute('itemtype');
+                break;
+        }
+    }
+
+    /**
+     * 把微数据转换为等价的JSON-LD
+     * @returns {Array} 每个顶层条目对应一个JSON-LD对象
+     */
+    toJsonLd(doc = document) {
+        return this.extract(doc).items.map(item => ({
+            '@context': 'https://schema.org',
+            ...this.itemToJson(item)
+        }));
+    }
+
+    itemToJson(item) {
+        const json = {};
+        if (item.types.length > 0) {
+            json['@type'] = item.types.length === 1 ? item.types[0] : item.types;
+        }
+        if (item.element.id) {
+            json['@id'] = `#${item.element.id}`;
+        }
+
+        Object.entries(item.properties).forEach(([name, values]) => {
+            const converted = values
+                .map(({ value }) => typeof value === 'object' ? this.itemToJson(value) : value)
+                .filter(value => value !== '');
+            if (converted.length > 0) {
+                json[name] = converted.length === 1 ? converted[0] : converted;
+            }
+        });
+        return json;
+    }
+
+    /**
+     * 把微数据转换为JSON-LD脚本，并移除页面上的微数据属性
+     */
+    convert(doc = document) {
+        const data = this.toJsonLd(doc);
+        if (data.length === 0) return data;
+
+        const script = doc.createElement('script');
+        script.type = 'application/ld+json';
+        script.setAttribute('data-schema', 'microdata');
+        script.textContent = JSON.stringify(data, null, 2);
+        doc.head.appendChild(script);
+
+        doc.querySelectorAll('[itemscope], [itemprop]').forEach(element => {
+            ['itemscope', 'itemtype', 'itemprop', 'itemref', 'itemid'].forEach(name => element.removeAttribute(name));
+        });
+        return data;
+    }
+
+    findParentScope(element) {
+        let node = element.parentElement;
+        while (node && !node.hasAttribute('itemscope')) {
+            node = node.parentElement;
+        }
+        return node;
+    }
+
+    /**
+     * 没有itemprop的嵌套条目，其外层条目需要从DOM中查找
+     */
+    findParentItem(item) {
+        const scope = this.findParentScope(item.element);
+        return scope ? { element: scope, types: this.getTypes(scope), parent: null } : null;
+    }
+
+    /**
+     * 沿外层条目向上查找拥有该属性的条目
+     */
+    findOwner(item, name) {
+        let current = item;
+        while (current) {
+            if (current.types.some(type => MicrodataChecker.VOCABULARY[type] && this.hasProperty(type, name))) {
+                return current;
+            }
+            current = current.parent || this.findParentItem(current);
+        }
+        return null;
+    }
+
+    getTypes(element) {
+        return (element.getAttribute('itemtype') || '').trim().split(/\s+/).filter(Boolean).map(url => this.getTypeName(url));
+    }
+
+    getTypeName(url) {
+        return url.replace(/\/$/, '').split('/').pop();
+    }
+
+    /**
+     * 类型（包含父类型）是否定义了该属性
+     */
+    hasProperty(type, name) {
+        let current = type;
+        while (current) {
+            const definition = MicrodataChecker.VOCABULARY[current];
+            if (!definition) return false;
+            if (definition.properties.includes(name)) return true;
+            current = definition.parent;
+        }
+        return false;
+    }
+
+    isSubtype(type, expected) {
+        let current = type;
+        while (current) {
+            if (current === expected) return true;
+            current = MicrodataChecker.VOCABULARY[current] ? MicrodataChecker.VOCABULARY[current].parent : null;
+        }
+        return false;
+    }
+
+    describeElement(element) {
+        const id = element.id ? `#${element.id}` : '';
+        const className = !id && element.classList && element.classList.length > 0 ? `.${element.classList[0]}` : '';
+        return `${element.tagName.toLowerCase()}${id}${className}`;
+    }
+
+    createIssue(type, entity, property, message, element, fix) {
+        const severity = MicrodataChecker.ERROR_TYPES.includes(type) ? 'error' : 'warning';
+        return { severity, type, entity, property, message, source: this.describeElement(element), fix };
+    }
+}
+
+/**
+ * 搜索引擎无法解析的问题按error报告，其余为warning
+ */
+MicrodataChecker.ERROR_TYPES = ['unknown_vocabulary', 'unknown_type', 'type_mismatch'];
+
+/**
+ * 本站用到的schema.org类型及其属性（父类型的属性自动继承）
+ * 只是schema.org的子集：不在其中的类型按warning报告（unlisted_type），TYPE_REPLACEMENTS中的已知无效类型按error报告
+ */
+MicrodataChecker.VOCABULARY = {
+    Thing: { parent: null, properties: ['name', 'description', 'url', 'image', 'sameAs', 'alternateName', 'identifier', 'mainEntityOfPage', 'potentialAction', 'disambiguatingDescription'] },
+    CreativeWork: { parent: 'Thing', properties: ['about', 'author', 'creator', 'copyrightNotice', 'copyrightYear', 'copyrightHolder', 'dateCreated', 'dateModified', 'datePublished', 'headline', 'keywords', 'inLanguage', 'text', 'publisher', 'hasPart', 'isPartOf', 'mainEntity', 'genre', 'audience', 'license', 'thumbnailUrl', 'abstract', 'teaches', 'educationalLevel', 'mentions'] },
+    WebSite: { parent: 'CreativeWork', properties: ['issn'] },
+    WebPage: { parent: 'CreativeWork', properties: ['breadcrumb', 'primaryImageOfPage', 'speakable', 'lastReviewed', 'relatedLink', 'significantLink'] },
+    AboutPage: { parent: 'WebPage', properties: [] },
+    ContactPage: { parent: 'WebPage', properties: [] },
+    ProfilePage: { parent: 'WebPage', properties: [] },
+    FAQPage: { parent: 'WebPage', properties: [] },
+    QAPage: { parent: 'WebPage', properties: [] },
+    WebPageElement: { parent: 'CreativeWork', properties: ['cssSelector', 'xpath'] },
+    WPHeader: { parent: 'WebPageElement', properties: [] },
+    WPFooter: { parent: 'WebPageElement', properties: [] },
+    SiteNavigationElement: { parent: 'WebPageElement', properties: [] },
+    Article: { parent: 'CreativeWork', properties: ['articleBody', 'articleSection', 'wordCount'] },
+    BlogPosting: { parent: 'Article', properties: [] },
+    TechArticle: { parent: 'Article', properties: ['dependencies', 'proficiencyLevel'] },
+    SoftwareSourceCode: { parent: 'CreativeWork', properties: ['codeRepository', 'programmingLanguage', 'runtimePlatform'] },
+    Question: { parent: 'CreativeWork', properties: ['acceptedAnswer', 'suggestedAnswer', 'answerCount'] },
+    Answer: { parent: 'CreativeWork', properties: ['upvoteCount', 'parentItem'] },
+    Person: { parent: 'Thing', properties: ['givenName', 'familyName', 'jobTitle', 'email', 'telephone', 'address', 'hasOccupation', 'hasCredential', 'knowsAbout', 'knowsLanguage', 'worksFor', 'alumniOf', 'award', 'nationality', 'workLocation', 'contactPoint', 'homeLocation'] },
+    Organization: { parent: 'Thing', properties: ['address', 'email', 'telephone', 'logo', 'contactPoint', 'founder', 'employee', 'areaServed', 'member'] },
+    LocalBusiness: { parent: 'Organization', properties: ['openingHours', 'priceRange', 'geo'] },
+    ProfessionalService: { parent: 'LocalBusiness', properties: [] },
+    Service: { parent: 'Thing', properties: ['provider', 'serviceType', 'areaServed', 'offers', 'brand'] },
+    Action: { parent: 'Thing', properties: ['target', 'agent', 'object', 'result'] },
+    SearchAction: { parent: 'Action', properties: ['query', 'query-input'] },
+    EntryPoint: { parent: 'Thing', properties: ['urlTemplate', 'actionPlatform', 'contentType'] },
+    Occupation: { parent: 'Thing', properties: ['experienceRequirements', 'skills', 'occupationLocation', 'responsibilities', 'qualifications', 'educationRequirements', 'estimatedSalary', 'occupationalCategory'] },
+    EducationalOccupationalCredential: { parent: 'CreativeWork', properties: ['credentialCategory', 'recognizedBy', 'validFor', 'competencyRequired'] },
+    DefinedTerm: { parent: 'Thing', properties: ['termCode', 'inDefinedTermSet'] },
+    DefinedTermSet: { parent: 'CreativeWork', properties: ['hasDefinedTerm'] },
+    ItemList: { parent: 'Thing', properties: ['itemListElement', 'numberOfItems', 'itemListOrder'] },
+    BreadcrumbList: { parent: 'ItemList', properties: [] },
+    ListItem: { parent: 'Thing', properties: ['item', 'position', 'nextItem', 'previousItem'] },
+    ContactPoint: { parent: 'Thing', properties: ['email', 'telephone', 'contactType', 'availableLanguage', 'areaServed', 'hoursAvailable'] },
+    PostalAddress: { parent: 'Thing', properties: ['addressCountry', 'addressLocality', 'addressRegion', 'postalCode', 'streetAddress'] },
+    Place: { parent: 'Thing', properties: ['address', 'geo'] },
+    AdministrativeArea: { parent: 'Place', properties: [] },
+    City: { parent: 'AdministrativeArea', properties: [] },
+    Country: { parent: 'AdministrativeArea', properties: [] },
+    GeoCoordinates: { parent: 'Thing', properties: ['latitude', 'longitude'] },
+    ImageObject: { parent: 'CreativeWork', properties: ['contentUrl', 'caption', 'width', 'height'] }
+};
+
+/**
+ * 属性值应为的类型（只列出本站会用到嵌套条目的属性）
+ */
+MicrodataChecker.RANGES = {
+    hasOccupation: ['Occupation'],
+    contactPoint: ['ContactPoint'],
+    address: ['PostalAddress'],
+    acceptedAnswer: ['Answer'],
+    suggestedAnswer: ['Answer'],
+    hasDefinedTerm: ['DefinedTerm'],
+    hasCredential: ['EducationalOccupationalCredential'],
+    author: ['Person', 'Organization'],
+    hasPart: ['CreativeWork'],
+    workLocation: ['Place', 'ContactPoint'],
+    itemListElement: ['ListItem', 'Thing']
+};
+
+/**
+ * 常见的无效类型及其schema.org替代类型
+ */
+MicrodataChecker.TYPE_REPLACEMENTS = {
+    SkillSet: 'DefinedTermSet',
+    Skill: 'DefinedTerm',
+    Skills: 'DefinedTermSet',
+    Project: 'CreativeWork',
+    Website: 'WebSite'
+};
+
+/**
+ * 外层类型可以用来关联嵌套条目的属性：{ 外层类型: { 嵌套类型: 属性 } }
+ */
+MicrodataChecker.LINK_PROPERTIES = {
+    DefinedTermSet: { DefinedTerm: 'hasDefinedTerm' },
+    ItemList: { Thing: 'itemListElement' },
+    FAQPage: { Question: 'mainEntity' },
+    Question: { Answer: 'acceptedAnswer' },
+    Person: { Occupation: 'hasOccupation', ContactPoint: 'contactPoint', PostalAddress: 'address' },
+    Organization: { ContactPoint: 'contactPoint', PostalAddress: 'address' },
+    WebPage: { WebPageElement: 'hasPart' }
+};
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MicrodataChecker;
+} else if (typeof window !== 'undefined') {
+    window.MicrodataChecker = MicrodataChecker;
+}
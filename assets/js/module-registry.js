@@ -0,0 +1,168 @@
+/**
+ * 模块注册表
+ * 统一管理优化器、监控器和FAQ等页面模块的创建、初始化顺序和销毁
+ * 每个模块声明依赖关系，注册表按依赖拓扑顺序依次执行 init()，按相反顺序执行 destroy()
+ */
+
+class ModuleRegistry {
+    /**
+     * @param {Object} config - 模块配置，如 { seoMonitoring: { enabled: false } }
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.definitions = new Map();
+        this.instances = new Map();
+        this.initOrder = [];
+    }
+
+    /**
+     * 注册模块
+     * @param {string} name - 模块名称
+     * @param {Object} definition - 模块定义
+     * @param {Function} definition.create - 创建实例的工厂函数，参数为注册表
+     * @param {string[]} [definition.dependsOn] - 依赖的模块名称
+     * @param {string} [definition.global] - 初始化后挂载到window上的名称
+     * @param {boolean} [definition.enabled] - 默认是否启用
+     */
+    register(name, definition) {
+        if (this.definitions.has(name)) {
+            throw new Error(`模块 ${name} 已注册`);
+        }
+
+        this.definitions.set(name, {
+            dependsOn: [],
+            enabled: true,
+            ...definition
+        });
+        return this;
+    }
+
+    /**
+     * 判断模块是否启用（配置优先于注册时的默认值）
+     */
+    isEnabled(name) {
+        const moduleConfig = this.config[name] || {};
+        if (moduleConfig.enabled !== undefined) {
+            return moduleConfig.enabled;
+        }
+        return this.definitions.get(name).enabled;
+    }
+
+    /**
+     * 按依赖关系计算初始化顺序
+     * 依赖缺失或被禁用的模块会被跳过，循环依赖直接报错
+     */
+    resolveOrder() {
+        const order = [];
+        const state = new Map(); // visiting | done | skipped
+
+        const visit = (name, path) => {
+            if (state.get(name) === 'done') return true;
+            if (state.get(name) === 'skipped') return false;
+            if (state.get(name) === 'visiting') {
+                throw new Error(`模块存在循环依赖: ${[...path, name].join(' -> ')}`);
+            }
+
+            const definition = this.definitions.get(name);
+            if (!definition) {
+                console.warn(`模块 ${path[path.length - 1]} 依赖的模块 ${name} 未注册`);
+                return false;
+            }
+            if (!this.isEnabled(name)) {
+                state.set(name, 'skipped');
+                return false;
+            }
+
+            state.set(name, 'visiting');
+            const satisfied = definition.dependsOn.every(dependency => visit(dependency, [...path, name]));
+            if (!satisfied) {
+                console.warn(`模块 ${name} 的依赖未启用，已跳过`);
+                state.set(name, 'skipped');
+                return false;
+            }
+
+            state.set(name, 'done');
+            order.push(name);
+            return true;
+        };
+
+        this.definitions.forEach((definition, name) => visit(name, []));
+        return order;
+    }
+
+    /**
+     * 依次创建并初始化所有启用的模块
+     * 单个模块失败不会影响其他不依赖它的模块
+     */
+    async initAll() {
+        const failed = new Set();
+
+        for (const name of this.resolveOrder()) {
+            const definition = this.definitions.get(name);
+            if (definition.dependsOn.some(dependency => failed.has(dependency))) {
+                console.warn(`模块 ${name} 的依赖初始化失败，已跳过`);
+                failed.add(name);
+                continue;
+            }
+
+            try {
+                const instance = definition.create(this);
+                this.instances.set(name, instance);
+                if (definition.global) {
+                    window[definition.global] = instance;
+                }
+
+                if (typeof instance.init === 'function') {
+                    await instance.init();
+                }
+
+                this.initOrder.push(name);
+            } catch (error) {
+                console.error(`模块 ${name} 初始化失败:`, error);
+                failed.add(name);
+            }
+        }
+
+        console.log('页面模块已初始化:', this.initOrder.join(', '));
+        return this.initOrder;
+    }
+
+    /**
+     * 按初始化的相反顺序销毁模块
+     */
+    async destroyAll() {
+        for (const name of [...this.initOrder].reverse()) {
+            const instance = this.instances.get(name);
+            const definition = this.definitions.get(name);
+
+            try {
+                if (typeof instance.destroy === 'function') {
+                    await instance.destroy();
+                }
+            } catch (error) {
+                console.error(`模块 ${name} 销毁失败:`, error);
+            }
+
+            if (definition.global && window[definition.global] === instance) {
+                delete window[definition.global];
+            }
+            this.instances.delete(name);
+        }
+
+        this.initOrder = [];
+    }
+
+    /**
+     * 获取已创建的模块实例
+     */
+    get(name) {
+        return this.instances.get(name) || null;
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModuleRegistry;
+} else if (typeof window !== 'undefined') {
+    window.ModuleRegistry = ModuleRegistry;
+}
@@ -0,0 +1,234 @@
+/**
+ * 网络状态感知
+ * 监听 online/offline 事件：离线时显示提示横幅，禁用需要网络的分享按钮，
+ * 统计上报等操作先存入队列（保存在localStorage中，刷新页面后仍保留），恢复网络后依次执行
+ */
+
+class NetworkStatus {
+    constructor() {
+        this.config = {
+            storageKey: 'network-status-queue',
+            maxQueueSize: 100,       // 超出后丢弃最早的操作
+            onlineNoticeDuration: 3000
+        };
+
+        this.online = navigator.onLine;
+        this.queue = this.loadQueue();
+        this.handlers = new Map();
+        this.banner = null;
+        this.hideTimer = null;
+
+        this.handleOnline = () => this.setOnline(true);
+        this.handleOffline = () => this.setOnline(false);
+        this.guardClick = event => this.blockOfflineAction(event);
+
+        // 内置的上报操作：离线时的sendBeacon请求
+        this.registerHandler('beacon', ({ url, data }) => {
+            if (!navigator.sendBeacon(url, data)) {
+                throw new Error(`sendBeacon失败: ${url}`);
+            }
+        });
+    }
+
+    /**
+     * 初始化：创建提示横幅并应用当前网络状态
+     */
+    init() {
+        this.banner = document.createElement('div');
+        this.banner.className = 'offline-banner';
+        this.banner.setAttribute('role', 'status');
+        this.banner.setAttribute('aria-live', 'polite');
+        this.banner.hidden = true;
+        document.body.prepend(this.banner);
+
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+        // 初始化之后才创建的分享按钮不会被禁用，离线时在捕获阶段拦截点击
+        document.addEventListener('click', this.guardClick, true);
+
+        this.applyState(false);
+        if (this.online) {
+            this.flush();
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+        document.removeEventListener('click', this.guardClick, true);
+        clearTimeout(this.hideTimer);
+        this.online = true;
+        this.toggleNetworkActions(false);
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+        }
+    }
+
+    setOnline(online) {
+        if (this.online === online) return;
+        this.online = online;
+        this.applyState(true);
+
+        if (online) {
+            this.flush();
+        }
+    }
+
+    /**
+     * 更新横幅和按钮状态
+     * @param {boolean} changed - 是否由状态变化触发（恢复网络时短暂显示提示）
+     */
+    applyState(changed) {
+        document.body.classList.toggle('is-offline', !this.online);
+        this.toggleNetworkActions(!this.online);
+        clearTimeout(this.hideTimer);
+
+        if (!this.online) {
+            this.showBanner('当前处于离线状态，分享功能暂不可用，访问统计将在恢复网络后发送', 'offline');
+        } else if (changed) {
+            this.showBanner('网络已恢复', 'online');
+            this.hideTimer = setTimeout(() => {
+                this.banner.hidden = true;
+            }, this.config.onlineNoticeDuration);
+        } else {
+            this.banner.hidden = true;
+        }
+    }
+
+    showBanner(message, state) {
+        this.banner.textContent = message;
+        this.banner.dataset.state = state;
+        this.banner.hidden = false;
+    }
+
+    /**
+     * 禁用或恢复需要网络的按钮，原有的title保存在data-online-title中
+     */
+    toggleNetworkActions(disabled) {
+        document.querySelectorAll(NetworkStatus.NETWORK_ACTIONS).forEach(element => {
+            if (disabled && !element.disabled) {
+                element.dataset.onlineTitle = element.title;
+                element.title = '离线时不可用';
+                element.disabled = true;
+            } else if (!disabled && element.dataset.onlineTitle !== undefined) {
+                element.title = element.dataset.onlineTitle;
+                delete element.dataset.onlineTitle;
+                element.disabled = false;
+            }
+        });
+    }
+
+    blockOfflineAction(event) {
+        if (this.online || !event.target.closest(NetworkStatus.NETWORK_ACTIONS)) return;
+        event.preventDefault();
+        event.stopPropagation();
+        this.toggleNetworkActions(true);
+    }
+
+    /**
+     * 注册队列操作的处理函数
+     * @param {string} type - 操作类型
+     * @param {Function} handler - 处理函数，参数为入队时的payload，抛出异常或返回被拒绝的Promise表示失败
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+        return this;
+    }
+
+    /**
+     * 执行操作：在线时立即执行，离线或执行失败时加入队列
+     */
+    async run(type, payload) {
+        if (this.online) {
+            try {
+                await this.handlers.get(type)(payload);
+                return true;
+            } catch (error) {
+                console.warn(`操作 ${type} 执行失败，已加入离线队列:`, error);
+            }
+        }
+        this.enqueue(type, payload);
+        return false;
+    }
+
+    /**
+     * 发送统计数据，离线时排队
+     */
+    sendBeacon(url, data) {
+        return this.run('beacon', { url, data });
+    }
+
+    enqueue(type, payload) {
+        this.queue.push({ type, payload, queuedAt: Date.now() });
+        if (this.queue.length > this.config.maxQueueSize) {
+            this.queue.splice(0, this.queue.length - this.config.maxQueueSize);
+        }
+        this.saveQueue();
+    }
+
+    /**
+     * 依次执行队列中的操作，失败的操作和没有处理函数的操作留在队列中
+     * @returns {Promise<number>} 成功执行的操作数
+     */
+    async flush() {
+        const pending = this.queue.splice(0);
+        const remaining = [];
+        let completed = 0;
+
+        for (const action of pending) {
+            const handler = this.handlers.get(action.type);
+            if (!this.online || !handler) {
+                remaining.push(action);
+                continue;
+            }
+
+            try {
+                await handler(action.payload);
+                completed++;
+            } catch (error) {
+                console.warn(`离线队列中的操作 ${action.type} 执行失败:`, error);
+                remaining.push(action);
+            }
+        }
+
+        // 执行期间新入队的操作排在后面
+        this.queue.unshift(...remaining);
+        this.saveQueue();
+
+        if (completed > 0) {
+            console.log(`已执行离线期间排队的 ${completed} 个操作`);
+        }
+        return completed;
+    }
+
+    loadQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    saveQueue() {
+        try {
+            if (this.queue.length > 0) {
+                localStorage.setItem(this.config.storageKey, JSON.stringify(this.queue));
+            } else {
+                localStorage.removeItem(this.config.storageKey);
+            }
+        } catch (e) {
+            // 存储不可用时队列只保留在内存中
+        }
+    }
+}
+
+// 需要网络的操作：打开第三方分享页面的按钮
+NetworkStatus.NETWORK_ACTIONS = '.share-btn[data-action="share"]';
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetworkStatus;
+} else if (typeof window !== 'undefined') {
+    window.NetworkStatus = NetworkStatus;
+}
@@ -0,0 +1,323 @@
+/**
+ * 页面基础SEO规则分析
+ * 标题长度、描述长度、标题层级、图片alt和链接检查的唯一实现，
+ * SEOAnalyzer、SEOMonitoringAnalytics和ContentSemanticOptimizer都消费这里的结果，保证同一页面的评分一致
+ * 每项检查是一条命名规则（严重程度、阈值、权重、提示信息），可以单独停用或调整阈值
+ */
+
+class PageAnalysisCore {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.rules] - 按规则id覆盖配置，如
+     *   { 'external-links': { enabled: false }, 'internal-links': { threshold: { min: 5 } } }
+     */
+    constructor(options = {}) {
+        const overrides = options.rules || {};
+
+        this.rules = PageAnalysisCore.RULES.map(rule => {
+            const override = overrides[rule.id] || {};
+            return {
+                ...rule,
+                enabled: override.enabled !== false,
+                severity: override.severity || rule.severity,
+                threshold: { ...rule.threshold, ...override.threshold }
+            };
+        });
+
+        Object.keys(overrides).forEach(id => {
+            if (!this.getRule(id)) {
+                console.warn(`未知的页面分析规则: ${id}`);
+            }
+        });
+    }
+
+    getRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * 提取规则需要的页面信息
+     */
+    collect(doc = document) {
+        const pageUrl = new URL(doc.baseURI);
+
+        const headings = Array.from(doc.querySelectorAll('h1, h2, h3, h4, h5, h6'), heading => ({
+            level: parseInt(heading.tagName.charAt(1)),
+            text: heading.textContent.trim(),
+            id: heading.id || ''
+        }));
+
+        const images = Array.from(doc.querySelectorAll('img'), img => ({
+            src: img.getAttribute('src') || img.getAttribute('data-src') || '',
+            alt: (img.getAttribute('alt') || '').trim(),
+            title: img.getAttribute('title') || '',
+            hasDimensions: img.hasAttribute('width') && img.hasAttribute('height'),
+            loading: img.getAttribute('loading') || ''
+        }));
+
+        const links = Array.from(doc.querySelectorAll('a[href]'), link => {
+            const href = link.getAttribute('href');
+            let type = 'other';
+            try {
+                const url = new URL(href, pageUrl);
+                if (url.origin === pageUrl.origin && url.protocol === pageUrl.protocol) {
+                    type = 'internal';
+                } else if (/^https?:$/.test(url.protocol)) {
+                    type = 'external';
+                }
+            } catch (e) {
+                // 无法解析的链接按其他链接处理
+            }
+
+            return {
+                href,
+                text: link.textContent.trim(),
+                title: link.getAttribute('title') || '',
+                rel: (link.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean),
+                target: link.getAttribute('target') || '',
+                hasImageAlt: !!link.querySelector('img[alt]:not([alt=""])'),
+                type
+            };
+        });
+
+        return {
+            title: (doc.querySelector('title')?.textContent || '').trim(),
+            description: doc.querySelector('meta[name="description"]')?.getAttribute('content')?.trim() ?? null,
+            headings,
+            images,
+            links
+        };
+    }
+
+    /**
+     * 运行所有启用的规则
+     * @returns {Object} { page, rules: { [id]: result }, issues, score, categories }
+     *   result为 { id, category, severity, title, passed, applicable, value, threshold, message }；
+     *   不适用的规则（如页面没有图片时的alt检查）视为通过，不计入评分
+     */
+    analyze(doc = document) {
+        const page = this.collect(doc);
+        const rules = {};
+
+        this.rules.filter(rule => rule.enabled).forEach(rule => {
+            const outcome = rule.check(page, rule.threshold);
+            const applicable = outcome !== null;
+            const passed = !applicable || outcome.passed;
+
+            rules[rule.id] = {
+                id: rule.id,
+                category: rule.category,
+                severity: rule.severity,
+                title: rule.title,
+                passed,
+                applicable,
+                value: applicable ? outcome.value : null,
+                threshold: rule.threshold,
+                message: passed ? null : rule.message(outcome.value, rule.threshold)
+            };
+        });
+
+        const results = Object.values(rules);
+        const categories = {};
+        PageAnalysisCore.CATEGORIES.forEach(category => {
+            categories[category] = this.calculateScore(results.filter(result => result.category === category));
+        });
+
+        return {
+            page,
+            rules,
+            issues: results.filter(result => !result.passed),
+            score: this.calculateScore(results),
+            categories
+        };
+    }
+
+    /**
+     * 按规则权重计算通过率（0-100），没有适用规则时为100
+     */
+    calculateScore(results) {
+        let total = 0;
+        let passed = 0;
+
+        results.filter(result => result.applicable).forEach(result => {
+            const weight = this.getRule(result.id).weight;
+            total += weight;
+            if (result.passed) passed += weight;
+        });
+
+        return total > 0 ? Math.round(passed / total * 100) : 100;
+    }
+
+    /**
+     * 规则是否通过，停用的规则视为通过
+     */
+    passed(analysis, id) {
+        return analysis.rules[id] ? analysis.rules[id].passed : true;
+    }
+
+    /**
+     * 某一类规则的问题
+     */
+    getIssues(analysis, category) {
+        return analysis.issues.filter(issue => issue.category === category);
+    }
+}
+
+PageAnalysisCore.CATEGORIES = ['meta', 'headings', 'images', 'links'];
+
+/**
+ * 规则定义
+ * check(page, threshold) 返回 { passed, value }，不适用时返回 null；message(value, threshold) 生成未通过时的提示
+ */
+PageAnalysisCore.RULES = [
+    {
+        id: 'title-length',
+        category: 'meta',
+        severity: 'error',
+        weight: 15,
+        title: '优化页面标题',
+        threshold: { min: 30, max: 60 },
+        check: (page, { min, max }) => {
+            const length = page.title.length;
+            return { passed: length >= min && length <= max, value: length };
+        },
+        message: (length, { min, max }) => {
+            if (length === 0) return '页面缺少<title>标题';
+            return `标题长度为${length}字符，应在${min}-${max}字符之间`;
+        }
+    },
+    {
+        id: 'description-length',
+        category: 'meta',
+        severity: 'error',
+        weight: 15,
+        title: '优化Meta描述',
+        threshold: { min: 120, max: 160 },
+        check: (page, { min, max }) => {
+            const length = page.description === null ? 0 : page.description.length;
+            return { passed: length >= min && length <= max, value: length };
+        },
+        message: (length, { min, max }) => {
+            if (length === 0) return '页面缺少meta description';
+            return `Meta描述长度为${length}字符，应在${min}-${max}字符之间`;
+        }
+    },
+    {
+        id: 'h1-count',
+        category: 'headings',
+        severity: 'error',
+        weight: 15,
+        title: '优化H1标签',
+        threshold: { min: 1, max: 1 },
+        check: (page, { min, max }) => {
+            const count = page.headings.filter(heading => heading.level === 1).length;
+            return { passed: count >= min && count <= max, value: count };
+        },
+        message: (count, { min, max }) => {
+            if (count === 0) return '页面缺少H1标签';
+            return min === max
+                ? `页面有${count}个H1标签，应有且仅有${min}个`
+                : `页面有${count}个H1标签，应在${min}-${max}个之间`;
+        }
+    },
+    {
+        id: 'heading-hierarchy',
+        category: 'headings',
+        severity: 'warning',
+        weight: 10,
+        title: '修正标题层级',
+        threshold: {},
+        check: page => {
+            if (page.headings.length === 0) return null;
+
+            // 从H0开始比较，第一个标题不是H1时同样记为跳跃
+            const jumps = [];
+            page.headings.reduce((previous, heading) => {
+                if (heading.level > previous + 1) {
+                    jumps.push({ from: previous, to: heading.level, text: heading.text });
+                }
+                return heading.level;
+            }, 0);
+            return { passed: jumps.length === 0, value: jumps };
+        },
+        message: jumps => jumps.map(jump => (jump.from === 0
+            ? `页面应以H1开始，第一个标题为H${jump.to}`
+            : `标题层级跳跃：H${jump.from} -> H${jump.to}（${jump.text}）`)).join('；')
+    },
+    {
+        id: 'image-alt',
+        category: 'images',
+        severity: 'warning',
+        weight: 15,
+        title: '完善图片Alt属性',
+        threshold: { maxMissing: 0 },
+        check: (page, { maxMissing }) => {
+            if (page.images.length === 0) return null;
+            const missing = page.images.filter(image => !image.alt).map(image => image.src);
+            return { passed: missing.length <= maxMissing, value: missing };
+        },
+        message: missing => `${missing.length}张图片缺少alt属性: ${missing.join(', ')}`
+    },
+    {
+        id: 'image-dimensions',
+        category: 'images',
+        severity: 'warning',
+        weight: 5,
+        title: '为图片设置尺寸',
+        threshold: {},
+        check: page => {
+            if (page.images.length === 0) return null;
+            const missing = page.images.filter(image => !image.hasDimensions).map(image => image.src);
+            return { passed: missing.length === 0, value: missing };
+        },
+        message: missing => `${missing.length}张图片缺少width/height属性，加载时会引起布局偏移: ${missing.join(', ')}`
+    },
+    {
+        id: 'internal-links',
+        category: 'links',
+        severity: 'warning',
+        weight: 10,
+        title: '增加内部链接',
+        threshold: { min: 3 },
+        check: (page, { min }) => {
+            const count = page.links.filter(link => link.type === 'internal').length;
+            return { passed: count >= min, value: count };
+        },
+        message: (count, { min }) => `内部链接只有${count}个，建议至少${min}个`
+    },
+    {
+        id: 'external-links',
+        category: 'links',
+        severity: 'warning',
+        weight: 5,
+        title: '减少外部链接',
+        threshold: { max: 10 },
+        check: (page, { max }) => {
+            const count = page.links.filter(link => link.type === 'external').length;
+            return { passed: count <= max, value: count };
+        },
+        message: (count, { max }) => `外部链接有${count}个，建议不超过${max}个`
+    },
+    {
+        id: 'external-link-rel',
+        category: 'links',
+        severity: 'warning',
+        weight: 5,
+        title: '为外部链接添加rel="noopener"',
+        threshold: {},
+        check: page => {
+            const blank = page.links.filter(link => link.type === 'external' && link.target === '_blank');
+            if (blank.length === 0) return null;
+            const unsafe = blank.filter(link => !link.rel.includes('noopener') && !link.rel.includes('noreferrer'));
+            return { passed: unsafe.length === 0, value: unsafe.map(link => link.href) };
+        },
+        message: hrefs => `${hrefs.length}个在新窗口打开的外部链接缺少rel="noopener": ${hrefs.join(', ')}`
+    }
+];
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageAnalysisCore;
+} else if (typeof window !== 'undefined') {
+    window.PageAnalysisCore = PageAnalysisCore;
+}
@@ -5,8 +5,28 @@
  */
 
 class SEOAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} options - 配置
+     * @param {SiteProfile} options.profile - 站点个人资料
+     * @param {PageAnalysisCore} options.pageAnalysis - 页面规则分析，与其他模块共用同一份规则配置
+     * @param {TextAnalyzer} options.textAnalyzer - 中文分词和文本统计
+     * @param {Function} [options.fetchText] - 读取站点文件的函数，参数为路径，返回 { ok, status, text }；
+     *                                        默认使用fetch，命令行审计时替换为读取本地文件
+     */
+    constructor(options = {}) {
+        this.config = {
+            staleLastmodDays: 365, // sitemap中lastmod超过该天数视为过期，站点配置中的值优先
+            siteConfigUrl: '/assets/data/seo-config.json', // 与sitemap/robots.txt生成器共用的站点配置
+            fetchText: options.fetchText || null
+        };
+        this.siteConfig = null;
+        this.profile = options.profile;
+
+        this.textAnalyzer = options.textAnalyzer;
+        this.pageAnalysis = options.pageAnalysis;
+
         this.seoData = {
+            pageRules: null,
             technicalSEO: {},
             contentSEO: {},
             semanticSEO: {},
@@ -14,14 +34,13 @@ class SEOAnalyzer {
             socialSEO: {},
             performanceSEO: {}
         };
-        this.init();
     }
 
     /**
      * 初始化SEO分析器
      */
-    init() {
-        this.analyzeTechnicalSEO();
+    async init() {
+        await this.analyzeTechnicalSEO();
         this.analyzeContentSEO();
         this.analyzeSemanticSEO();
         this.analyzeLocalSEO();
@@ -34,26 +53,49 @@ class SEOAnalyzer {
     /**
      * 技术SEO分析
      */
-    analyzeTechnicalSEO() {
+    async analyzeTechnicalSEO() {
+        this.siteConfig = await this.loadSiteConfig();
+        if (this.siteConfig?.staleLastmodDays) {
+            this.config.staleLastmodDays = this.siteConfig.staleLastmodDays;
+        }
+
+        const [robotsTxt, sitemap] = await Promise.all([
+            this.analyzeRobotsTxt(),
+            this.analyzeSitemap()
+        ]);
+
+        // 检查当前页面和sitemap中的页面是否被robots.txt屏蔽
+        const urls = [window.location.href, ...sitemap.entries.map(entry => entry.loc)];
+        robotsTxt.issues.push(...this.findDisallowedUrls(robotsTxt, urls));
+
+        const pageRules = this.analyzePageRules();
         const technical = {
-            metaTags: this.analyzeMetaTags(),
+            metaTags: this.analyzeMetaTags(pageRules),
             structuredData: this.analyzeStructuredData(),
             canonicalURL: this.analyzeCanonicalURL(),
-            robotsTxt: this.analyzeRobotsTxt(),
-            sitemap: this.analyzeSitemap(),
+            robotsTxt,
+            sitemap,
             httpHeaders: this.analyzeHTTPHeaders(),
             urlStructure: this.analyzeURLStructure(),
-            internalLinking: this.analyzeInternalLinking()
+            internalLinking: this.analyzeInternalLinking(pageRules)
         };
 
         this.seoData.technicalSEO = technical;
         return technical;
     }
 
+    /**
+     * 运行共用的页面规则（标题、描述、标题层级、图片alt、链接）
+     */
+    analyzePageRules() {
+        this.seoData.pageRules = this.pageAnalysis.analyze(document);
+        return this.seoData.pageRules;
+    }
+
     /**
      * 分析Meta标签
      */
-    analyzeMetaTags() {
+    analyzeMetaTags(pageRules) {
         const metaTags = {
             title: document.querySelector('title')?.textContent || '',
             description: document.querySelector('meta[name="description"]')?.content || '',
@@ -67,10 +109,10 @@ class SEOAnalyzer {
 
         // 分析质量
         const analysis = {
-            titleLength: metaTags.title.length,
-            titleOptimal: metaTags.title.length >= 30 && metaTags.title.length <= 60,
-            descriptionLength: metaTags.description.length,
-            descriptionOptimal: metaTags.description.length >= 120 && metaTags.description.length <= 160,
+            titleLength: pageRules.page.title.length,
+            titleOptimal: this.pageAnalysis.passed(pageRules, 'title-length'),
+            descriptionLength: (pageRules.page.description || '').length,
+            descriptionOptimal: this.pageAnalysis.passed(pageRules, 'description-length'),
             hasKeywords: !!metaTags.keywords,
             hasRobots: !!metaTags.robots,
             hasViewport: !!metaTags.viewport,
@@ -96,12 +138,18 @@ class SEOAnalyzer {
             }
         });
 
+        // 合并后的结构化数据位于 @graph 中，@type 也可能是数组
+        const types = structuredData
+            .flatMap(data => [].concat(data['@graph'] || data))
+            .flatMap(item => [].concat((item && item['@type']) || []));
+
         return {
             count: structuredData.length,
             data: structuredData,
-            hasPersonSchema: structuredData.some(data => data['@type'] === 'Person'),
-            hasOrganizationSchema: structuredData.some(data => data['@type'] === 'Organization'),
-            hasWebsiteSchema: structuredData.some(data => data['@type'] === 'Website')
+            types,
+            hasPersonSchema: types.includes('Person'),
+            hasOrganizationSchema: types.includes('Organization'),
+            hasWebsiteSchema: types.includes('WebSite')
         };
     }
 
@@ -120,26 +168,293 @@ class SEOAnalyzer {
     /**
      * 分析robots.txt
      */
-    analyzeRobotsTxt() {
-        // 通过fetch检查robots.txt
-        return fetch('/robots.txt')
-            .then(response => ({
-                exists: response.ok,
-                status: response.status
-            }))
-            .catch(() => ({ exists: false, status: 404 }));
+    async analyzeRobotsTxt() {
+        const response = await this.fetchText('/robots.txt');
+        const result = {
+            exists: response.ok,
+            status: response.status,
+            groups: [],
+            sitemaps: [],
+            issues: []
+        };
+
+        if (!response.ok) {
+            result.issues.push({ type: 'missing', message: 'robots.txt不存在' });
+            return result;
+        }
+
+        Object.assign(result, SEOAnalyzer.parseRobotsTxt(response.text));
+
+        if (this.siteConfig?.robots) {
+            result.issues.push(...SEOAnalyzer.compareRobotsConfig(result, this.siteConfig.robots));
+        }
+
+        if (result.sitemaps.length === 0) {
+            result.issues.push({ type: 'no_sitemap', message: 'robots.txt未声明Sitemap' });
+        }
+
+        return result;
     }
 
     /**
      * 分析站点地图
      */
-    analyzeSitemap() {
-        return fetch('/sitemap.xml')
-            .then(response => ({
-                exists: response.ok,
-                status: response.status
-            }))
-            .catch(() => ({ exists: false, status: 404 }));
+    async analyzeSitemap() {
+        const response = await this.fetchText('/sitemap.xml');
+        const result = {
+            exists: response.ok,
+            status: response.status,
+            entries: [],
+            issues: []
+        };
+
+        if (!response.ok) {
+            result.issues.push({ type: 'missing', message: 'sitemap.xml不存在' });
+            return result;
+        }
+
+        try {
+            result.entries = SEOAnalyzer.parseSitemap(response.text);
+        } catch (e) {
+            result.issues.push({ type: 'invalid_xml', message: `sitemap.xml解析失败: ${e.message}` });
+            return result;
+        }
+
+        const staleBefore = Date.now() - this.config.staleLastmodDays * 24 * 60 * 60 * 1000;
+        result.entries.forEach(entry => {
+            if (entry.loc.includes('#')) {
+                result.issues.push({
+                    type: 'fragment_url',
+                    url: entry.loc,
+                    message: `sitemap包含带#片段的URL，搜索引擎会忽略片段: ${entry.loc}`
+                });
+            }
+
+            if (!entry.lastmod) {
+                result.issues.push({ type: 'missing_lastmod', url: entry.loc, message: `缺少lastmod: ${entry.loc}` });
+            } else if (isNaN(Date.parse(entry.lastmod))) {
+                result.issues.push({ type: 'invalid_lastmod', url: entry.loc, message: `lastmod格式无效: ${entry.lastmod}` });
+            } else if (Date.parse(entry.lastmod) < staleBefore) {
+                result.issues.push({
+                    type: 'stale_lastmod',
+                    url: entry.loc,
+                    message: `lastmod已超过${this.config.staleLastmodDays}天未更新: ${entry.loc}（${entry.lastmod}）`
+                });
+            }
+
+            if (entry.priority !== null && (isNaN(entry.priority) || entry.priority < 0 || entry.priority > 1)) {
+                result.issues.push({ type: 'invalid_priority', url: entry.loc, message: `priority应在0.0-1.0之间: ${entry.loc}` });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * 加载站点SEO配置（tools/generate-sitemap.js 根据同一份配置生成robots.txt）
+     */
+    async loadSiteConfig() {
+        const response = await this.fetchText(this.config.siteConfigUrl);
+        if (!response.ok) return null;
+
+        try {
+            return JSON.parse(response.text);
+        } catch (e) {
+            console.warn('站点SEO配置解析失败:', e);
+            return null;
+        }
+    }
+
+    /**
+     * 比较线上robots.txt与站点配置，返回不一致的部分
+     */
+    static compareRobotsConfig(parsed, expected) {
+        const issues = [];
+        const describe = group => JSON.stringify({
+            userAgents: group.userAgents.map(agent => agent.toLowerCase()),
+            rules: group.rules,
+            crawlDelay: group.crawlDelay === undefined ? null : group.crawlDelay
+        });
+
+        const actualGroups = parsed.groups.map(describe);
+        const expectedGroups = expected.groups.map(describe);
+
+        expectedGroups.forEach((group, index) => {
+            if (!actualGroups.includes(group)) {
+                issues.push({
+                    type: 'config_mismatch',
+                    message: `robots.txt缺少配置中的规则组: ${expected.groups[index].userAgents.join(', ')}`
+                });
+            }
+        });
+        actualGroups.forEach((group, index) => {
+            if (!expectedGroups.includes(group)) {
+                issues.push({
+                    type: 'config_mismatch',
+                    message: `robots.txt包含配置中没有的规则组: ${parsed.groups[index].userAgents.join(', ')}`
+                });
+            }
+        });
+
+        const missingSitemaps = expected.sitemaps.filter(sitemap => !parsed.sitemaps.includes(sitemap));
+        if (missingSitemaps.length > 0) {
+            issues.push({
+                type: 'config_mismatch',
+                message: `robots.txt缺少Sitemap声明: ${missingSitemaps.join(', ')}`
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * 读取站点文件
+     * @returns {Promise<Object>} { ok, status, text }
+     */
+    async fetchText(url) {
+        if (this.config.fetchText) {
+            return this.config.fetchText(url);
+        }
+
+        try {
+            const response = await fetch(url);
+            return {
+                ok: response.ok,
+                status: response.status,
+                text: response.ok ? await response.text() : ''
+            };
+        } catch (e) {
+            return { ok: false, status: 0, text: '' };
+        }
+    }
+
+    /**
+     * 解析robots.txt
+     * 连续的User-agent行组成一组，其后的Allow/Disallow/Crawl-delay属于该组；Sitemap行不属于任何组
+     */
+    static parseRobotsTxt(text) {
+        const groups = [];
+        const sitemaps = [];
+        let current = null;
+        let lastWasAgent = false;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const field = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            switch (field) {
+                case 'user-agent':
+                    if (!current || !lastWasAgent) {
+                        current = { userAgents: [], rules: [], crawlDelay: null };
+                        groups.push(current);
+                    }
+                    current.userAgents.push(value.toLowerCase());
+                    lastWasAgent = true;
+                    return;
+                case 'allow':
+                case 'disallow':
+                    // 空的Disallow表示不限制
+                    if (current && value) {
+                        current.rules.push({ type: field, path: value });
+                    }
+                    break;
+                case 'crawl-delay':
+                    if (current) {
+                        current.crawlDelay = parseFloat(value);
+                    }
+                    break;
+                case 'sitemap':
+                    sitemaps.push(value);
+                    break;
+            }
+            lastWasAgent = false;
+        });
+
+        return { groups, sitemaps };
+    }
+
+    /**
+     * 解析sitemap.xml
+     * @returns {Array} [{ loc, lastmod, changefreq, priority }]
+     */
+    static parseSitemap(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('XML格式错误');
+        }
+
+        const text = (element, name) => {
+            const child = element.getElementsByTagName(name)[0];
+            return child ? child.textContent.trim() : null;
+        };
+
+        return Array.from(doc.getElementsByTagName('url')).map(url => {
+            const priority = text(url, 'priority');
+            return {
+                loc: text(url, 'loc') || '',
+                lastmod: text(url, 'lastmod'),
+                changefreq: text(url, 'changefreq'),
+                priority: priority === null ? null : parseFloat(priority)
+            };
+        });
+    }
+
+    /**
+     * 判断路径是否被robots.txt的某个组允许（最长匹配规则优先，长度相同时Allow优先）
+     */
+    static isPathAllowed(group, pathname) {
+        let match = null;
+
+        group.rules.forEach(rule => {
+            const pattern = rule.path
+                .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*/g, '.*')
+                .replace(/\\\$$/, '$');
+            if (!new RegExp(`^${pattern}`).test(pathname)) return;
+
+            if (!match || rule.path.length > match.path.length ||
+                (rule.path.length === match.path.length && rule.type === 'allow')) {
+                match = rule;
+            }
+        });
+
+        return !match || match.type === 'allow';
+    }
+
+    /**
+     * 查找被robots.txt屏蔽的URL，按各User-agent组分别检查
+     */
+    findDisallowedUrls(robotsTxt, urls) {
+        const issues = [];
+        const origin = window.location.origin;
+
+        new Set(urls).forEach(url => {
+            let parsed;
+            try {
+                parsed = new URL(url, origin);
+            } catch (e) {
+                return;
+            }
+
+            robotsTxt.groups.forEach(group => {
+                if (!SEOAnalyzer.isPathAllowed(group, parsed.pathname + parsed.search)) {
+                    group.userAgents.forEach(userAgent => {
+                        issues.push({
+                            type: 'disallowed',
+                            userAgent,
+                            url,
+                            message: `${userAgent} 被禁止抓取: ${url}`
+                        });
+                    });
+                }
+            });
+        });
+
+        return issues;
     }
 
     /**
@@ -174,36 +489,28 @@ class SEOAnalyzer {
     /**
      * 分析内部链接
      */
-    analyzeInternalLinking() {
-        const links = document.querySelectorAll('a[href]');
-        const internalLinks = [];
-        const externalLinks = [];
-
-        links.forEach(link => {
-            const href = link.getAttribute('href');
-            if (href.startsWith('/') || href.includes(window.location.hostname)) {
-                internalLinks.push({
-                    href,
-                    text: link.textContent.trim(),
-                    hasTitle: !!link.title,
-                    hasAlt: !!link.querySelector('img')?.alt
-                });
-            } else if (href.startsWith('http')) {
-                externalLinks.push({
-                    href,
-                    text: link.textContent.trim(),
-                    hasNofollow: link.rel.includes('nofollow'),
-                    hasNoopener: link.rel.includes('noopener')
-                });
-            }
-        });
+    analyzeInternalLinking(pageRules) {
+        const links = pageRules.page.links;
+        const internalLinks = links.filter(link => link.type === 'internal').map(link => ({
+            href: link.href,
+            text: link.text,
+            hasTitle: !!link.title,
+            hasAlt: link.hasImageAlt
+        }));
+        const externalLinks = links.filter(link => link.type === 'external').map(link => ({
+            href: link.href,
+            text: link.text,
+            hasNofollow: link.rel.includes('nofollow'),
+            hasNoopener: link.rel.includes('noopener')
+        }));
 
         return {
             totalLinks: links.length,
             internalCount: internalLinks.length,
             externalCount: externalLinks.length,
             internalLinks,
-            externalLinks
+            externalLinks,
+            issues: this.pageAnalysis.getIssues(pageRules, 'links').map(issue => issue.message)
         };
     }
 
@@ -211,9 +518,10 @@ class SEOAnalyzer {
      * 内容SEO分析
      */
     analyzeContentSEO() {
+        const pageRules = this.analyzePageRules();
         const content = {
-            headings: this.analyzeHeadings(),
-            images: this.analyzeImages(),
+            headings: this.analyzeHeadings(pageRules),
+            images: this.analyzeImages(pageRules),
             textContent: this.analyzeTextContent(),
             keywords: this.analyzeKeywordDensity(),
             readability: this.analyzeReadability()
@@ -226,7 +534,7 @@ class SEOAnalyzer {
     /**
      * 分析标题结构
      */
-    analyzeHeadings() {
+    analyzeHeadings(pageRules) {
         const headings = {
             h1: document.querySelectorAll('h1'),
             h2: document.querySelectorAll('h2'),
@@ -239,62 +547,37 @@ class SEOAnalyzer {
         const analysis = {
             h1Count: headings.h1.length,
             h1Text: Array.from(headings.h1).map(h => h.textContent.trim()),
-            hasProperHierarchy: this.checkHeadingHierarchy(),
-            totalHeadings: Object.values(headings).reduce((sum, nodeList) => sum + nodeList.length, 0)
+            h1Optimal: this.pageAnalysis.passed(pageRules, 'h1-count'),
+            hasProperHierarchy: this.pageAnalysis.passed(pageRules, 'heading-hierarchy'),
+            totalHeadings: pageRules.page.headings.length,
+            issues: this.pageAnalysis.getIssues(pageRules, 'headings').map(issue => issue.message)
         };
 
         return { headings, analysis };
     }
 
-    /**
-     * 检查标题层次结构
-     */
-    checkHeadingHierarchy() {
-        const allHeadings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        let previousLevel = 0;
-        let isProper = true;
-
-        allHeadings.forEach(heading => {
-            const currentLevel = parseInt(heading.tagName.charAt(1));
-            if (currentLevel > previousLevel + 1) {
-                isProper = false;
-            }
-            previousLevel = currentLevel;
-        });
-
-        return isProper;
-    }
-
     /**
      * 分析图片SEO
      */
-    analyzeImages() {
-        const images = document.querySelectorAll('img');
+    analyzeImages(pageRules) {
+        const images = pageRules.page.images;
         const analysis = {
             totalImages: images.length,
             withAlt: 0,
             withTitle: 0,
             withLazyLoading: 0,
             optimizedFormats: 0,
-            issues: []
+            altOptimal: this.pageAnalysis.passed(pageRules, 'image-alt'),
+            issues: this.pageAnalysis.getIssues(pageRules, 'images').map(issue => issue.message)
         };
 
-        images.forEach((img, index) => {
+        images.forEach(img => {
             if (img.alt) analysis.withAlt++;
             if (img.title) analysis.withTitle++;
             if (img.loading === 'lazy') analysis.withLazyLoading++;
-            
-            const src = img.src || img.dataset.src;
-            if (src && (src.includes('.webp') || src.includes('.avif'))) {
-                analysis.optimizedFormats++;
-            }
 
-            // 检查问题
-            if (!img.alt) {
-                analysis.issues.push(`图片 ${index + 1} 缺少alt属性`);
-            }
-            if (!img.width || !img.height) {
-                analysis.issues.push(`图片 ${index + 1} 缺少尺寸属性`);
+            if (img.src.includes('.webp') || img.src.includes('.avif')) {
+                analysis.optimizedFormats++;
             }
         });
 
@@ -306,13 +589,12 @@ class SEOAnalyzer {
      */
     analyzeTextContent() {
         const textContent = document.body.textContent || '';
-        const words = textContent.split(/\s+/).filter(word => word.length > 0);
         
         return {
             totalCharacters: textContent.length,
-            totalWords: words.length,
+            totalWords: this.textAnalyzer.countWords(textContent),
             averageWordsPerSentence: this.calculateAverageWordsPerSentence(textContent),
-            readingTime: Math.ceil(words.length / 200) // 假设每分钟200词
+            readingTime: this.textAnalyzer.estimateReadingTime(textContent)
         };
     }
 
@@ -320,12 +602,10 @@ class SEOAnalyzer {
      * 计算平均每句话的词数
      */
     calculateAverageWordsPerSentence(text) {
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+        const sentences = this.textAnalyzer.splitSentences(text);
         if (sentences.length === 0) return 0;
         
-        const totalWords = sentences.reduce((sum, sentence) => {
-            return sum + sentence.split(/\s+/).filter(word => word.length > 0).length;
-        }, 0);
+        const totalWords = sentences.reduce((sum, sentence) => sum + this.textAnalyzer.countWords(sentence), 0);
         
         return Math.round(totalWords / sentences.length);
     }
@@ -335,74 +615,25 @@ class SEOAnalyzer {
      */
     analyzeKeywordDensity() {
         const metaKeywords = document.querySelector('meta[name="keywords"]')?.content || '';
-        const keywords = metaKeywords.split(',').map(k => k.trim().toLowerCase());
-        const textContent = document.body.textContent.toLowerCase();
-        
-        const density = {};
-        keywords.forEach(keyword => {
-            if (keyword) {
-                const regex = new RegExp(keyword, 'gi');
-                const matches = textContent.match(regex) || [];
-                density[keyword] = {
-                    count: matches.length,
-                    density: (matches.length / textContent.split(/\s+/).length * 100).toFixed(2)
-                };
-            }
-        });
+        const keywords = metaKeywords.split(/[,，]/).map(k => k.trim().toLowerCase()).filter(Boolean);
 
-        return density;
+        return this.textAnalyzer.keywordDensity(document.body.textContent, keywords);
     }
 
     /**
      * 分析可读性
      */
     analyzeReadability() {
-        const textContent = document.body.textContent || '';
-        const sentences = textContent.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        const words = textContent.split(/\s+/).filter(word => word.length > 0);
-        const syllables = this.countSyllables(textContent);
-
-        // Flesch Reading Ease Score
-        const fleschScore = 206.835 - (1.015 * (words.length / sentences.length)) - (84.6 * (syllables / words.length));
+        const readability = this.textAnalyzer.readability(document.body.textContent || '');
         
         return {
-            fleschScore: Math.round(fleschScore),
-            readabilityLevel: this.getReadabilityLevel(fleschScore),
-            averageSentenceLength: Math.round(words.length / sentences.length),
-            averageSyllablesPerWord: Math.round(syllables / words.length * 100) / 100
+            score: readability.score,
+            readabilityLevel: readability.level,
+            averageSentenceLength: readability.avgSentenceLength,
+            difficultWordRatio: readability.difficultWordRatio
         };
     }
 
-    /**
-     * 计算音节数（简化版）
-     */
-    countSyllables(text) {
-        // 简化的音节计算，适用于中文
-        const chineseChars = text.match(/[\u4e00-\u9fff]/g) || [];
-        const englishWords = text.match(/[a-zA-Z]+/g) || [];
-        
-        let syllables = chineseChars.length; // 中文字符通常一个字一个音节
-        
-        englishWords.forEach(word => {
-            syllables += Math.max(1, word.match(/[aeiouAEIOU]/g)?.length || 1);
-        });
-        
-        return syllables;
-    }
-
-    /**
-     * 获取可读性等级
-     */
-    getReadabilityLevel(score) {
-        if (score >= 90) return '非常容易';
-        if (score >= 80) return '容易';
-        if (score >= 70) return '较容易';
-        if (score >= 60) return '标准';
-        if (score >= 50) return '较难';
-        if (score >= 30) return '难';
-        return '非常难';
-    }
-
     /**
      * 语义SEO分析
      */
@@ -435,12 +666,19 @@ class SEOAnalyzer {
         return entities;
     }
 
+    /**
+     * 站点主人姓名的匹配模式
+     */
+    getNamePattern() {
+        return new RegExp(this.profile.data.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+    }
+
     /**
      * 提取人名
      */
     extractPersons(text) {
         const personPatterns = [
-            /曹洁冰/g,
+            this.getNamePattern(),
             /[A-Z][a-z]+ [A-Z][a-z]+/g // 英文姓名模式
         ];
         
@@ -691,7 +929,7 @@ class SEOAnalyzer {
      */
     extractBusinessName(text) {
         const namePatterns = [
-            /曹洁冰/g,
+            this.getNamePattern(),
             /个人工作室/g,
             /技术咨询/g
         ];
@@ -819,9 +1057,12 @@ class SEOAnalyzer {
         jsonLdScripts.forEach(script => {
             try {
                 const data = JSON.parse(script.textContent);
-                if (data['@type'] === 'LocalBusiness') hasLocalBusiness = true;
-                if (data['@type'] === 'Person') hasPerson = true;
-                if (data['@type'] === 'Organization') hasOrganization = true;
+                [].concat(data['@graph'] || data).forEach(item => {
+                    const types = [].concat((item && item['@type']) || []);
+                    if (types.includes('LocalBusiness') || types.includes('ProfessionalService')) hasLocalBusiness = true;
+                    if (types.includes('Person')) hasPerson = true;
+                    if (types.includes('Organization')) hasOrganization = true;
+                });
             } catch (e) {
                 // 忽略解析错误
             }
@@ -1071,18 +1312,7 @@ class SEOAnalyzer {
      * 生成SEO报告
      */
     generateSEOReport() {
-        const report = {
-            timestamp: new Date().toISOString(),
-            url: window.location.href,
-            overall: this.calculateOverallScore(),
-            technical: this.seoData.technicalSEO,
-            content: this.seoData.contentSEO,
-            semantic: this.seoData.semanticSEO,
-            local: this.seoData.localSEO,
-            social: this.seoData.socialSEO,
-            performance: this.seoData.performanceSEO,
-            recommendations: this.generateRecommendations()
-        };
+        const report = this.buildSEOReport();
 
         // 输出报告到控制台
         console.group('🔍 SEO分析报告');
@@ -1107,6 +1337,29 @@ class SEOAnalyzer {
         return report;
     }
 
+    /**
+     * 构建SEO报告数据（不输出到控制台，供命令行审计等场景复用）
+     */
+    buildSEOReport() {
+        return {
+            timestamp: new Date().toISOString(),
+            url: window.location.href,
+            overall: this.calculateOverallScore(),
+            pageRules: this.seoData.pageRules && {
+                score: this.seoData.pageRules.score,
+                categories: this.seoData.pageRules.categories,
+                issues: this.seoData.pageRules.issues
+            },
+            technical: this.seoData.technicalSEO,
+            content: this.seoData.contentSEO,
+            semantic: this.seoData.semanticSEO,
+            local: this.seoData.localSEO,
+            social: this.seoData.socialSEO,
+            performance: this.seoData.performanceSEO,
+            recommendations: this.generateRecommendations()
+        };
+    }
+
     /**
      * 计算总体评分
      */
@@ -1144,13 +1397,13 @@ class SEOAnalyzer {
      */
     calculateTechnicalScore() {
         const technical = this.seoData.technicalSEO;
+        const ruleScores = this.seoData.pageRules?.categories || {};
         let score = 0;
 
-        // Meta标签评分 (40分)
+        // Meta标签评分 (40分)：标题和描述长度按页面规则评分计20分
+        score += (ruleScores.meta || 0) * 0.2;
         if (technical.metaTags?.analysis) {
             const meta = technical.metaTags.analysis;
-            if (meta.titleOptimal) score += 10;
-            if (meta.descriptionOptimal) score += 10;
             if (meta.hasKeywords) score += 5;
             if (meta.hasRobots) score += 5;
             if (meta.hasViewport) score += 5;
@@ -1169,8 +1422,20 @@ class SEOAnalyzer {
             if (technical.urlStructure.isClean) score += 10;
         }
 
-        // 内部链接评分 (15分)
-        if (technical.internalLinking?.internalCount > 0) score += 15;
+        // 链接规则评分 (5分)
+        score += (ruleScores.links || 0) * 0.05;
+
+        // robots.txt评分 (5分)：存在且未屏蔽任何需要收录的页面
+        if (technical.robotsTxt?.exists &&
+            !technical.robotsTxt.issues.some(issue => issue.type === 'disallowed')) {
+            score += 5;
+        }
+
+        // 站点地图评分 (5分)：存在且没有带片段的URL或格式错误
+        if (technical.sitemap?.exists &&
+            !technical.sitemap.issues.some(issue => ['fragment_url', 'invalid_xml', 'invalid_priority'].includes(issue.type))) {
+            score += 5;
+        }
 
         return Math.min(score, 100);
     }
@@ -1180,29 +1445,20 @@ class SEOAnalyzer {
      */
     calculateContentScore() {
         const content = this.seoData.contentSEO;
+        const ruleScores = this.seoData.pageRules?.categories || {};
         let score = 0;
 
         // 标题结构评分 (30分)
-        if (content.headings?.analysis) {
-            const headings = content.headings.analysis;
-            if (headings.h1Count === 1) score += 15;
-            if (headings.hasProperHierarchy) score += 15;
-        }
+        score += (ruleScores.headings || 0) * 0.3;
 
         // 图片优化评分 (25分)
-        if (content.images) {
-            const images = content.images;
-            if (images.totalImages > 0) {
-                const altRatio = images.withAlt / images.totalImages;
-                score += altRatio * 25;
-            }
-        }
+        score += (ruleScores.images || 0) * 0.25;
 
         // 文本内容评分 (25分)
         if (content.textContent?.totalWords > 300) score += 25;
 
         // 可读性评分 (20分)
-        if (content.readability?.fleschScore > 60) score += 20;
+        if (content.readability?.score > 60) score += 20;
 
         return Math.min(score, 100);
     }
@@ -1280,54 +1536,64 @@ class SEOAnalyzer {
     generateRecommendations() {
         const recommendations = [];
         const technical = this.seoData.technicalSEO;
-        const content = this.seoData.contentSEO;
         const social = this.seoData.socialSEO;
         const performance = this.seoData.performanceSEO;
 
+        // 页面规则建议：Meta规则归入技术SEO，其余归入内容SEO
+        (this.seoData.pageRules?.issues || []).forEach(issue => {
+            recommendations.push({
+                category: issue.category === 'meta' ? 'technical' : 'content',
+                priority: issue.severity === 'error' ? 'high' : 'medium',
+                title: issue.title,
+                description: issue.message
+            });
+        });
+
         // 技术SEO建议
-        if (!technical.metaTags?.analysis?.titleOptimal) {
+        if (!technical.structuredData?.count) {
             recommendations.push({
                 category: 'technical',
-                priority: 'high',
-                title: '优化页面标题',
-                description: '页面标题长度应在30-60个字符之间，包含主要关键词'
+                priority: 'medium',
+                title: '添加结构化数据',
+                description: '添加JSON-LD结构化数据，提升搜索结果展示效果'
             });
         }
 
-        if (!technical.metaTags?.analysis?.descriptionOptimal) {
+        const disallowed = (technical.robotsTxt?.issues || []).filter(issue => issue.type === 'disallowed');
+        if (disallowed.length > 0) {
             recommendations.push({
                 category: 'technical',
                 priority: 'high',
-                title: '优化Meta描述',
-                description: 'Meta描述长度应在120-160个字符之间，吸引用户点击'
+                title: '检查robots.txt屏蔽规则',
+                description: `${disallowed.length} 个页面被robots.txt禁止抓取: ${disallowed.map(issue => `${issue.userAgent} ${issue.url}`).join('; ')}`
             });
         }
 
-        if (!technical.structuredData?.count) {
+        const sitemapIssues = technical.sitemap?.issues || [];
+        if (sitemapIssues.some(issue => issue.type === 'fragment_url')) {
             recommendations.push({
                 category: 'technical',
                 priority: 'medium',
-                title: '添加结构化数据',
-                description: '添加JSON-LD结构化数据，提升搜索结果展示效果'
+                title: '移除sitemap中的片段URL',
+                description: 'sitemap中带#的URL会被搜索引擎视为同一页面，只保留可独立访问的页面URL'
             });
         }
 
-        // 内容SEO建议
-        if (content.headings?.analysis?.h1Count !== 1) {
+        if ((technical.robotsTxt?.issues || []).some(issue => issue.type === 'config_mismatch')) {
             recommendations.push({
-                category: 'content',
-                priority: 'high',
-                title: '优化H1标签',
-                description: '每个页面应该有且仅有一个H1标签'
+                category: 'technical',
+                priority: 'medium',
+                title: '重新生成robots.txt',
+                description: 'robots.txt与站点SEO配置不一致，请运行 node tools/generate-sitemap.js 重新生成'
             });
         }
 
-        if (content.images?.totalImages > 0 && content.images.withAlt / content.images.totalImages < 0.8) {
+        if (sitemapIssues.some(issue => issue.type === 'stale_lastmod')) {
             recommendations.push({
-                category: 'content',
-                priority: 'medium',
-                title: '完善图片Alt属性',
-                description: '为所有图片添加描述性的Alt属性，提升可访问性和SEO'
+                category: 'technical',
+                priority: 'low',
+                title: '更新sitemap的lastmod',
+                description: `部分页面的lastmod超过${this.config.staleLastmodDays}天未更新，内容变更后应同步更新lastmod`
             });
         }
 
@@ -1341,8 +1607,8 @@ class SEOAnalyzer {
             });
         }
 
-        // 性能SEO建议
-        if (!performance.pageSpeed?.isOptimal) {
+        // 性能SEO建议（命令行审计等无法测量加载速度的场景不提供该建议）
+        if (performance.pageSpeed && !performance.pageSpeed.isOptimal) {
             recommendations.push({
                 category: 'performance',
                 priority: 'high',
@@ -1396,7 +1662,7 @@ class SEOAnalyzer {
         if (!document.querySelector('meta[name="author"]')) {
             const authorMeta = document.createElement('meta');
             authorMeta.name = 'author';
-            authorMeta.content = '曹洁冰';
+            authorMeta.content = this.profile.data.name;
             document.head.appendChild(authorMeta);
         }
     }
@@ -1426,18 +1692,16 @@ class SEOAnalyzer {
         // 检查是否已有Person类型的结构化数据
         const existingPersonSchema = document.querySelector('script[type="application/ld+json"]');
         if (!existingPersonSchema) {
+            const profile = this.profile.data;
             const personSchema = {
                 "@context": "https://schema.org",
                 "@type": "Person",
-                "name": "曹洁冰",
-                "jobTitle": "高级技术专家",
-                "description": "资深Java开发工程师，大数据专家，AI应用开发工程师",
-                "url": window.location.origin,
-                "knowsAbout": [
-                    "Java开发", "Spring Boot", "微服务架构",
-                    "大数据开发", "Hadoop", "Spark",
-                    "AI开发", "机器学习", "深度学习"
-                ]
+                "name": profile.name,
+                "jobTitle": profile.jobTitle,
+                "description": profile.description,
+                "url": profile.site.url,
+                "email": profile.email,
+                "knowsAbout": profile.skills
             };
 
             const script = document.createElement('script');
@@ -1472,11 +1736,6 @@ class SEOAnalyzer {
     }
 }
 
-// 初始化SEO分析器
-document.addEventListener('DOMContentLoaded', () => {
-    window.seoAnalyzer = new SEOAnalyzer();
-});
-
 // 导出供其他模块使用
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SEOAnalyzer;
@@ -3,7 +3,12 @@
  * 提供全面的SEO性能监控、分析和报告功能
  */
 class SEOMonitoringAnalytics {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {PageAnalysisCore} options.pageAnalysis - 页面规则分析，标题、描述、图片和链接的阈值在规则中配置
+     * @param {TextAnalyzer} options.textAnalyzer - 中文分词和文本统计，目标关键词按词序列匹配
+     */
+    constructor(options) {
         this.config = {
             // 监控配置
             monitoringInterval: 60000, // 1分钟
@@ -17,15 +22,7 @@ class SEOMonitoringAnalytics {
                 largestContentfulPaint: 2500, // 2.5秒
                 cumulativeLayoutShift: 0.1,
                 firstInputDelay: 100, // 100ms
-                timeToInteractive: 3800, // 3.8秒
-                
-                // SEO指标阈值
-                titleLength: { min: 30, max: 60 },
-                descriptionLength: { min: 120, max: 160 },
-                h1Count: { min: 1, max: 1 },
-                imageAltMissing: 0,
-                internalLinksMin: 3,
-                externalLinksMax: 10
+                timeToInteractive: 3800 // 3.8秒
             },
             
             // 关键词监控
@@ -34,6 +31,9 @@ class SEOMonitoringAnalytics {
                 'Web开发', 'UI/UX设计', '响应式设计', 'SEO优化', '性能优化'
             ]
         };
+
+        this.textAnalyzer = options.textAnalyzer;
+        this.pageAnalysis = options.pageAnalysis;
         
         this.data = {
             performance: [],
@@ -191,13 +191,19 @@ class SEOMonitoringAnalytics {
      * 分析页面SEO
      */
     analyzePage() {
+        const rules = this.pageAnalysis.analyze(document);
         const analysis = {
             timestamp: Date.now(),
-            title: this.analyzeTitle(),
-            description: this.analyzeDescription(),
-            headings: this.analyzeHeadings(),
-            images: this.analyzeImages(),
-            links: this.analyzeLinks(),
+            rules: {
+                score: rules.score,
+                categories: rules.categories,
+                issues: rules.issues
+            },
+            title: this.analyzeTitle(rules),
+            description: this.analyzeDescription(rules),
+            headings: this.analyzeHeadings(rules),
+            images: this.analyzeImages(rules),
+            links: this.analyzeLinks(rules),
             content: this.analyzeContent(),
             schema: this.analyzeSchema(),
             performance: this.getPerformanceScore()
@@ -209,19 +215,24 @@ class SEOMonitoringAnalytics {
         return analysis;
     }
 
+    /**
+     * 取出指定规则未通过时的提示
+     */
+    getRuleMessages(rules, ids) {
+        return ids.map(id => rules.rules[id]).filter(result => result && !result.passed).map(result => result.message);
+    }
+
     /**
      * 分析标题
      */
-    analyzeTitle() {
-        const title = document.title;
-        const length = title.length;
-        const { min, max } = this.config.analysisThresholds.titleLength;
+    analyzeTitle(rules) {
+        const title = rules.page.title;
         
         return {
             text: title,
-            length: length,
-            isOptimal: length >= min && length <= max,
-            issues: length < min ? ['标题过短'] : length > max ? ['标题过长'] : [],
+            length: title.length,
+            isOptimal: this.pageAnalysis.passed(rules, 'title-length'),
+            issues: this.getRuleMessages(rules, ['title-length']),
             keywords: this.findKeywordsInText(title)
         };
     }
@@ -229,18 +240,15 @@ class SEOMonitoringAnalytics {
     /**
      * 分析描述
      */
-    analyzeDescription() {
-        const metaDesc = document.querySelector('meta[name="description"]');
-        const description = metaDesc ? metaDesc.content : '';
-        const length = description.length;
-        const { min, max } = this.config.analysisThresholds.descriptionLength;
+    analyzeDescription(rules) {
+        const description = rules.page.description || '';
         
         return {
             text: description,
-            length: length,
-            exists: !!metaDesc,
-            isOptimal: length >= min && length <= max,
-            issues: !metaDesc ? ['缺少描述'] : length < min ? ['描述过短'] : length > max ? ['描述过长'] : [],
+            length: description.length,
+            exists: rules.page.description !== null,
+            isOptimal: this.pageAnalysis.passed(rules, 'description-length'),
+            issues: this.getRuleMessages(rules, ['description-length']),
             keywords: this.findKeywordsInText(description)
         };
     }
@@ -248,7 +256,7 @@ class SEOMonitoringAnalytics {
     /**
      * 分析标题标签
      */
-    analyzeHeadings() {
+    analyzeHeadings(rules) {
         const headings = {
             h1: document.querySelectorAll('h1'),
             h2: document.querySelectorAll('h2'),
@@ -258,42 +266,17 @@ class SEOMonitoringAnalytics {
             h6: document.querySelectorAll('h6')
         };
         
-        const issues = [];
-        if (headings.h1.length === 0) issues.push('缺少H1标签');
-        if (headings.h1.length > 1) issues.push('H1标签过多');
-        
         return {
             counts: Object.fromEntries(Object.entries(headings).map(([tag, elements]) => [tag, elements.length])),
-            structure: this.analyzeHeadingStructure(),
-            issues: issues,
+            structure: {
+                structure: rules.page.headings.map(heading => ({ tag: `h${heading.level}`, text: heading.text, level: heading.level })),
+                issues: this.getRuleMessages(rules, ['heading-hierarchy'])
+            },
+            issues: this.pageAnalysis.getIssues(rules, 'headings').map(issue => issue.message),
             keywords: this.analyzeHeadingKeywords(headings)
         };
     }
 
-    /**
-     * 分析标题结构
-     */
-    analyzeHeadingStructure() {
-        const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
-        const structure = headings.map(h => ({
-            tag: h.tagName.toLowerCase(),
-            text: h.textContent.trim(),
-            level: parseInt(h.tagName.charAt(1))
-        }));
-        
-        // 检查层级结构
-        const issues = [];
-        for (let i = 1; i < structure.length; i++) {
-            const current = structure[i];
-            const previous = structure[i - 1];
-            if (current.level > previous.level + 1) {
-                issues.push(`标题层级跳跃: ${previous.tag} -> ${current.tag}`);
-            }
-        }
-        
-        return { structure, issues };
-    }
-
     /**
      * 分析标题关键词
      */
@@ -312,69 +295,36 @@ class SEOMonitoringAnalytics {
     /**
      * 分析图片
      */
-    analyzeImages() {
+    analyzeImages(rules) {
         const images = document.querySelectorAll('img');
-        let missingAlt = 0;
-        let totalSize = 0;
-        const issues = [];
+        const issues = this.pageAnalysis.getIssues(rules, 'images').map(issue => issue.message);
         
+        // 渲染后的实际尺寸只能在浏览器中检查，不属于共用规则
         images.forEach(img => {
-            if (!img.alt || img.alt.trim() === '') {
-                missingAlt++;
-            }
-            
-            // 检查图片尺寸
             if (img.naturalWidth > 1920 || img.naturalHeight > 1080) {
                 issues.push(`图片尺寸过大: ${img.src}`);
             }
         });
         
-        if (missingAlt > this.config.analysisThresholds.imageAltMissing) {
-            issues.push(`${missingAlt}张图片缺少alt属性`);
-        }
-        
         return {
             total: images.length,
-            missingAlt: missingAlt,
-            issues: issues,
-            avgSize: totalSize / images.length || 0
+            missingAlt: rules.page.images.filter(image => !image.alt).length,
+            altOptimal: this.pageAnalysis.passed(rules, 'image-alt'),
+            issues: issues
         };
     }
 
     /**
      * 分析链接
      */
-    analyzeLinks() {
-        const links = document.querySelectorAll('a[href]');
-        let internal = 0;
-        let external = 0;
-        const issues = [];
-        
-        links.forEach(link => {
-            const href = link.href;
-            if (href.startsWith(window.location.origin)) {
-                internal++;
-            } else if (href.startsWith('http')) {
-                external++;
-                // 检查外部链接是否有rel="noopener"
-                if (!link.rel.includes('noopener')) {
-                    issues.push('外部链接缺少rel="noopener"');
-                }
-            }
-        });
-        
-        if (internal < this.config.analysisThresholds.internalLinksMin) {
-            issues.push('内部链接过少');
-        }
-        if (external > this.config.analysisThresholds.externalLinksMax) {
-            issues.push('外部链接过多');
-        }
+    analyzeLinks(rules) {
+        const links = rules.page.links;
         
         return {
             total: links.length,
-            internal: internal,
-            external: external,
-            issues: issues
+            internal: links.filter(link => link.type === 'internal').length,
+            external: links.filter(link => link.type === 'external').length,
+            issues: this.pageAnalysis.getIssues(rules, 'links').map(issue => issue.message)
         };
     }
 
@@ -383,8 +333,8 @@ class SEOMonitoringAnalytics {
      */
     analyzeContent() {
         const content = document.body.textContent || '';
-        const wordCount = content.split(/\s+/).length;
-        const readingTime = Math.ceil(wordCount / 200); // 假设每分钟200字
+        const wordCount = this.textAnalyzer.countWords(content);
+        const readingTime = this.textAnalyzer.estimateReadingTime(content);
         
         return {
             wordCount: wordCount,
@@ -398,47 +348,20 @@ class SEOMonitoringAnalytics {
      * 计算关键词密度
      */
     calculateKeywordDensity(content) {
-        const density = {};
-        const words = content.toLowerCase().split(/\s+/);
-        const totalWords = words.length;
-        
-        this.config.targetKeywords.forEach(keyword => {
-            const keywordWords = keyword.toLowerCase().split(/\s+/);
-            let count = 0;
-            
-            for (let i = 0; i <= words.length - keywordWords.length; i++) {
-                const phrase = words.slice(i, i + keywordWords.length).join(' ');
-                if (phrase === keyword.toLowerCase()) {
-                    count++;
-                }
-            }
-            
-            density[keyword] = {
-                count: count,
-                density: (count / totalWords * 100).toFixed(2)
-            };
-        });
-        
-        return density;
+        return this.textAnalyzer.keywordDensity(content, this.config.targetKeywords);
     }
 
     /**
      * 计算可读性
      */
     calculateReadability(content) {
-        const sentences = content.split(/[.!?]+/).length;
-        const words = content.split(/\s+/).length;
-        const avgWordsPerSentence = words / sentences;
-        
-        // 简化的可读性评分
-        let score = 100;
-        if (avgWordsPerSentence > 20) score -= 10;
-        if (avgWordsPerSentence > 30) score -= 20;
+        const readability = this.textAnalyzer.readability(content);
         
         return {
-            score: Math.max(0, score),
-            avgWordsPerSentence: avgWordsPerSentence.toFixed(1),
-            level: score > 80 ? '易读' : score > 60 ? '中等' : '困难'
+            score: readability.score,
+            avgWordsPerSentence: readability.avgWordsPerSentence,
+            avgSentenceLength: readability.avgSentenceLength,
+            level: readability.level
         };
     }
 
@@ -452,9 +375,9 @@ class SEOMonitoringAnalytics {
         schemas.forEach(script => {
             try {
                 const data = JSON.parse(script.textContent);
-                if (data['@type']) {
-                    schemaTypes.push(data['@type']);
-                }
+                [].concat(data['@graph'] || data).forEach(item => {
+                    schemaTypes.push(...[].concat((item && item['@type']) || []));
+                });
             } catch (e) {
                 // 忽略解析错误
             }
@@ -755,6 +678,13 @@ class SEOMonitoringAnalytics {
         this.intervals.push(reportInterval);
     }
 
+    /**
+     * 销毁模块
+     */
+    destroy() {
+        this.stopMonitoring();
+    }
+
     /**
      * 停止监控
      */
@@ -799,25 +729,8 @@ class SEOMonitoringAnalytics {
         const latest = this.data.seo[this.data.seo.length - 1];
         if (!latest) return 0;
         
-        let score = 100;
-        
-        // 标题评分
-        if (!latest.title.isOptimal) score -= 10;
-        
-        // 描述评分
-        if (!latest.description.exists) score -= 15;
-        else if (!latest.description.isOptimal) score -= 5;
-        
-        // 标题结构评分
-        if (latest.headings.issues.length > 0) score -= 10;
-        
-        // 图片评分
-        if (latest.images.missingAlt > 0) score -= 10;
-        
-        // 链接评分
-        if (latest.links.issues.length > 0) score -= 5;
-        
-        return Math.max(0, score);
+        // 与SEOAnalyzer、ContentSemanticOptimizer使用同一套页面规则评分
+        return latest.rules.score;
     }
 
     /**
@@ -922,33 +835,15 @@ class SEOMonitoringAnalytics {
             });
         }
         
-        // SEO建议
-        if (!latest.title.isOptimal) {
+        // SEO建议（图片规则同时影响可访问性）
+        latest.rules.issues.forEach(issue => {
             recommendations.push({
-                type: 'seo',
-                priority: 'high',
-                title: '优化页面标题',
-                description: `标题长度应在${this.config.analysisThresholds.titleLength.min}-${this.config.analysisThresholds.titleLength.max}字符之间`
+                type: issue.category === 'images' ? 'accessibility' : 'seo',
+                priority: issue.severity === 'error' ? 'high' : 'medium',
+                title: issue.title,
+                description: issue.message
             });
-        }
-        
-        if (!latest.description.exists) {
-            recommendations.push({
-                type: 'seo',
-                priority: 'high',
-                title: '添加页面描述',
-                description: '页面缺少meta description标签'
-            });
-        }
-        
-        if (latest.images.missingAlt > 0) {
-            recommendations.push({
-                type: 'accessibility',
-                priority: 'medium',
-                title: '添加图片alt属性',
-                description: `${latest.images.missingAlt}张图片缺少alt属性`
-            });
-        }
+        });
         
         // 关键词建议
         const keywordCoverage = parseFloat(this.getKeywordCoverage());
@@ -0,0 +1,182 @@
+/**
+ * 站点个人资料
+ * 姓名、职位、技能、联系方式、所在地和站点URL的唯一来源，
+ * 各优化器、FAQ系统和JSON-LD构建都从这里读取，不再各自维护副本
+ * 资料来自页面内联的 <script type="application/json" id="site-profile">，或 assets/data/site-profile.json
+ */
+
+class SiteProfile {
+    /**
+     * @param {Object} [data] - 已加载的资料数据（命令行工具直接传入JSON文件内容）
+     */
+    constructor(data = null) {
+        this.config = {
+            url: '/assets/data/site-profile.json',
+            inlineSelector: 'script#site-profile[type="application/json"]'
+        };
+
+        this.data = data;
+        this.conflicts = [];
+    }
+
+    /**
+     * 加载资料并校验与页面可见内容是否一致
+     */
+    async init() {
+        if (!this.data) {
+            this.data = await this.load();
+        }
+
+        this.conflicts = this.validate();
+        if (this.conflicts.length > 0) {
+            console.group('⚠️ 站点资料与页面内容不一致');
+            this.conflicts.forEach(conflict => {
+                console.warn(`${conflict.field}: 资料为 "${conflict.expected}"，${conflict.source}为 "${conflict.actual}"`);
+            });
+            console.groupEnd();
+        }
+
+        return this.data;
+    }
+
+    /**
+     * 加载资料：优先使用页面内联数据，其次请求JSON文件
+     */
+    async load() {
+        const inline = document.querySelector(this.config.inlineSelector);
+        if (inline) {
+            return JSON.parse(inline.textContent);
+        }
+
+        const response = await fetch(this.config.url);
+        if (!response.ok) {
+            throw new Error(`站点资料加载失败: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * 文本分析的自定义词：姓名、关键词和技能，分词时作为整体切出
+     */
+    getAnalyzerWords() {
+        return [this.data.name, ...this.data.keywords, ...this.data.skills];
+    }
+
+    /**
+     * 经验概述，如 "8年Java开发经验，6年大数据开发经验，1年AI开发经验"
+     */
+    getExperienceSummary() {
+        const { java, bigData, ai } = this.data.experience;
+        return `${java}年Java开发经验，${bigData}年大数据开发经验，${ai}年AI开发经验`;
+    }
+
+    /**
+     * 按域名查找社交主页链接
+     */
+    getSocialUrl(domain) {
+        return this.data.social.sameAs.find(url => url.includes(domain)) || null;
+    }
+
+    /**
+     * 校验资料与页面可见内容、已有结构化数据和meta标签是否冲突
+     * @returns {Array} [{ field, expected, actual, source }]
+     */
+    validate(doc = document) {
+        const conflicts = [];
+        const profile = this.data;
+        const text = this.getVisibleText(doc);
+        const add = (field, expected, actual, source) => {
+            if (actual !== null && actual !== undefined && String(actual) !== String(expected)) {
+                conflicts.push({ field, expected, actual, source });
+            }
+        };
+
+        // 页面显示的邮箱和电话
+        new Set(text.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g) || []).forEach(email => add('email', profile.email, email, '页面文本'));
+        doc.querySelectorAll('a[href^="mailto:"]').forEach(link => {
+            add('email', profile.email, link.getAttribute('href').slice(7).split('?')[0], 'mailto链接');
+        });
+        new Set(text.match(/(?<!\d)1[3-9]\d{9}(?!\d)/g) || []).forEach(phone => add('telephone', profile.telephone, phone, '页面文本'));
+        doc.querySelectorAll('a[href^="tel:"]').forEach(link => {
+            add('telephone', profile.telephone, link.getAttribute('href').slice(4).replace(/[\s-]/g, ''), 'tel链接');
+        });
+
+        if (!text.includes(profile.name)) {
+            conflicts.push({ field: 'name', expected: profile.name, actual: '', source: '页面文本' });
+        }
+
+        // 页面中的经验年限描述
+        const experiencePatterns = {
+            java: /(\d+)年(?:的)?Java开发经验/g,
+            bigData: /(\d+)年(?:的)?大数据开发经验/g,
+            ai: /(\d+)年(?:的)?AI开发经验/g
+        };
+        Object.entries(experiencePatterns).forEach(([key, pattern]) => {
+            new Set(Array.from(text.matchAll(pattern), match => match[1])).forEach(years => {
+                add(`experience.${key}`, profile.experience[key], years, '页面文本');
+            });
+        });
+
+        // meta标签和规范URL
+        const author = doc.querySelector('meta[name="author"]');
+        if (author) add('name', profile.name, author.getAttribute('content'), 'meta author');
+
+        const canonical = doc.querySelector('link[rel="canonical"]');
+        if (canonical) {
+            add('site.url', this.normalizeUrl(profile.site.url), this.normalizeUrl(canonical.getAttribute('href')), '规范URL');
+        }
+
+        // 社交分享标签使用资料中的站点标题和描述
+        [
+            ['site.title', profile.site.title, 'meta[property="og:title"]', 'og:title'],
+            ['site.description', profile.site.description, 'meta[property="og:description"]', 'og:description'],
+            ['site.title', profile.site.title, 'meta[name="twitter:title"]', 'twitter:title'],
+            ['site.description', profile.site.description, 'meta[name="twitter:description"]', 'twitter:description']
+        ].forEach(([field, expected, selector, source]) => {
+            const meta = doc.querySelector(selector);
+            if (meta) add(field, expected, meta.getAttribute('content'), source);
+        });
+
+        // 页面中已有的Person结构化数据
+        doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            let data;
+            try {
+                data = JSON.parse(script.textContent);
+            } catch (e) {
+                return;
+            }
+
+            [].concat(data['@graph'] || data).filter(item => item && item['@type'] === 'Person').forEach(person => {
+                const source = `JSON-LD(${script.getAttribute('data-schema') || 'Person'})`;
+                add('name', profile.name, person.name, source);
+                add('jobTitle', profile.jobTitle, person.jobTitle, source);
+                add('description', profile.description, person.description, source);
+                add('email', profile.email, person.email, source);
+                add('telephone', profile.telephone, person.telephone, source);
+                if (person.url) add('site.url', this.normalizeUrl(profile.site.url), this.normalizeUrl(person.url), source);
+            });
+        });
+
+        return conflicts;
+    }
+
+    /**
+     * 获取页面可见文本（排除脚本和样式）
+     */
+    getVisibleText(doc) {
+        const body = doc.body.cloneNode(true);
+        body.querySelectorAll('script, style, template, noscript').forEach(element => element.remove());
+        return body.textContent;
+    }
+
+    normalizeUrl(url) {
+        return String(url).replace(/\/$/, '');
+    }
+}
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SiteProfile;
+} else if (typeof window !== 'undefined') {
+    window.SiteProfile = SiteProfile;
+}
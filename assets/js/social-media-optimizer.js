@@ -3,14 +3,19 @@
  * 提供社交媒体分享优化和社交SEO功能
  */
 class SocialMediaOptimizer {
-    constructor() {
+    /**
+     * @param {SiteProfile} profile - 站点个人资料
+     */
+    constructor(profile) {
+        const data = profile.data;
+        this.profile = profile;
         this.config = {
-            siteName: '曹洁冰个人网站',
-            siteUrl: 'https://caojiebing.github.io',
-            author: '曹洁冰',
-            defaultImage: 'https://caojiebing.github.io/assets/images/ai-engineer.jpg',
-            twitterHandle: '@caojiebing',
-            locale: 'zh_CN',
+            siteName: data.site.name,
+            siteUrl: data.site.url,
+            author: data.name,
+            defaultImage: data.site.image,
+            twitterHandle: data.social.twitterHandle,
+            locale: data.site.locale,
             socialPlatforms: [
                 'facebook', 'twitter', 'linkedin', 'wechat', 
                 'weibo', 'qq', 'telegram', 'whatsapp'
@@ -18,8 +23,8 @@ class SocialMediaOptimizer {
         };
         
         this.shareData = {
-            title: '曹洁冰 - Java开发专家 | 大数据工程师 | AI应用开发',
-            description: '资深技术专家，8年Java开发经验，6年大数据开发经验，1年AI开发经验。专注于Java、大数据、AI技术领域。',
+            title: data.site.title,
+            description: data.site.description,
             url: this.config.siteUrl,
             image: this.config.defaultImage
         };
@@ -54,9 +59,9 @@ class SocialMediaOptimizer {
             { property: 'og:image:type', content: 'image/jpeg' },
             { property: 'og:site_name', content: this.config.siteName },
             { property: 'og:locale', content: this.config.locale },
-            { property: 'profile:first_name', content: '洁冰' },
-            { property: 'profile:last_name', content: '曹' },
-            { property: 'profile:username', content: 'caojiebing' },
+            { property: 'profile:first_name', content: this.profile.data.givenName },
+            { property: 'profile:last_name', content: this.profile.data.familyName },
+            { property: 'profile:username', content: this.profile.data.username },
             { property: 'article:author', content: this.config.author },
             { property: 'article:publisher', content: this.config.siteUrl }
         ];
@@ -77,8 +82,8 @@ class SocialMediaOptimizer {
             { name: 'twitter:title', content: this.shareData.title },
             { name: 'twitter:description', content: this.shareData.description },
             { name: 'twitter:image', content: this.shareData.image },
-            { name: 'twitter:image:alt', content: '曹洁冰 - 技术专家头像' },
-            { name: 'twitter:domain', content: 'caojiebing.github.io' }
+            { name: 'twitter:image:alt', content: this.profile.data.site.imageAlt },
+            { name: 'twitter:domain', content: new URL(this.config.siteUrl).hostname }
         ];
 
         twitterTags.forEach(tag => {
@@ -92,7 +97,7 @@ class SocialMediaOptimizer {
     addSocialMediaMetaTags() {
         const socialTags = [
             // LinkedIn特定标签
-            { property: 'linkedin:owner', content: 'caojiebing' },
+            { property: 'linkedin:owner', content: this.profile.data.username },
             
             // 微信分享标签
             { name: 'wechat:card', content: 'summary_large_image' },
@@ -377,19 +382,19 @@ class SocialMediaOptimizer {
             "@type": "Person",
             "name": this.config.author,
             "url": this.config.siteUrl,
-            "sameAs": [
-                "https://linkedin.com/in/caojiebing",
-                "https://twitter.com/caojiebing",
-                "https://github.com/caojiebing"
-            ],
+            "sameAs": this.profile.data.social.sameAs,
             "mainEntityOfPage": {
                 "@type": "WebPage",
                 "@id": this.config.siteUrl
             },
             "image": this.shareData.image,
-            "description": this.shareData.description
+            // 人物简介与其他Person数据一致，使用资料中的description，而不是分享描述
+            "description": this.profile.data.description
         };
 
+        // 构建期已写入静态HTML时不再重复添加
+        if (document.querySelector('script[data-schema="social-media"]')) return;
+
         const script = document.createElement('script');
         script.type = 'application/ld+json';
         script.setAttribute('data-schema', 'social-media');
@@ -582,15 +587,15 @@ class SocialMediaOptimizer {
                 <p>获取最新技术动态和分享</p>
             </div>
             <div class="follow-buttons">
-                <a href="https://github.com/caojiebing" target="_blank" class="follow-btn github">
+                <a href="${this.profile.getSocialUrl('github.com')}" target="_blank" class="follow-btn github">
                     <i class="fab fa-github"></i>
                     <span>GitHub</span>
                 </a>
-                <a href="https://linkedin.com/in/caojiebing" target="_blank" class="follow-btn linkedin">
+                <a href="${this.profile.getSocialUrl('linkedin.com')}" target="_blank" class="follow-btn linkedin">
                     <i class="fab fa-linkedin"></i>
                     <span>LinkedIn</span>
                 </a>
-                <a href="mailto:contact@caojiebing.com" class="follow-btn email">
+                <a href="mailto:${this.profile.data.email}" class="follow-btn email">
                     <i class="fas fa-envelope"></i>
                     <span>邮箱</span>
                 </a>
@@ -0,0 +1,524 @@
+/**
+ * 结构化数据校验与合并
+ * 页面静态的Person、LocalSEOOptimizer、FAQContentSystem、SocialMediaOptimizer、A/B测试和SEOAnalyzer
+ * 都会注入JSON-LD，容易出现重复或相互矛盾的Person、FAQPage、QAPage等实体
+ * 本模块收集页面中所有 application/ld+json 脚本，按schema.org类型规则和Google富媒体搜索结果要求校验，
+ * 检测重复和冲突的实体，并合并为带稳定 @id 的单个 @graph
+ */
+
+class StructuredDataValidator {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - 生成 @id 的基础URL，默认取规范URL或当前页面地址
+     * @param {boolean} [options.merge] - 初始化时是否把页面中的JSON-LD合并为单个 @graph
+     */
+    constructor(options = {}) {
+        this.config = {
+            baseUrl: options.baseUrl || null,
+            merge: options.merge !== false,
+            selector: 'script[type="application/ld+json"]'
+        };
+
+        this.result = null;
+    }
+
+    /**
+     * 初始化：校验并合并页面中的结构化数据，输出发现的问题
+     */
+    init() {
+        this.result = this.config.merge ? this.apply() : this.validate();
+
+        const { issues } = this.result;
+        if (issues.length > 0) {
+            console.group(`⚠️ 结构化数据存在 ${issues.length} 个问题`);
+            issues.forEach(issue => {
+                const log = issue.severity === 'error' ? console.error : console.warn;
+                log(`[${issue.type}] ${issue.entity}${issue.property ? '.' + issue.property : ''}: ${issue.message}（${issue.source}）`);
+            });
+            console.groupEnd();
+        }
+
+        return this.result;
+    }
+
+    /**
+     * 收集页面中的JSON-LD脚本
+     * @returns {Array} [{ script, source, data, error }]
+     */
+    collect(doc = document) {
+        return Array.from(doc.querySelectorAll(this.config.selector)).map((script, index) => {
+            const source = script.getAttribute('data-schema') || `ld+json #${index + 1}`;
+            try {
+                return { script, source, data: JSON.parse(script.textContent), error: null };
+            } catch (e) {
+                return { script, source, data: null, error: e.message };
+            }
+        });
+    }
+
+    /**
+     * 校验页面中的结构化数据（不修改页面）
+     * @returns {Object} { entities, issues, graph }
+     */
+    validate(doc = document) {
+        const blocks = this.collect(doc);
+        const issues = [];
+
+        blocks.filter(block => block.error).forEach(block => {
+            issues.push(this.createIssue('error', 'invalid_json', 'JSON-LD', null, `JSON解析失败: ${block.error}`, block.source));
+        });
+
+        const entities = [];
+        blocks.filter(block => !block.error).forEach(block => {
+            const context = block.data['@context'];
+            if (!this.isSchemaContext(context)) {
+                issues.push(this.createIssue('error', 'invalid_context', 'JSON-LD', '@context', `@context 应为 https://schema.org，实际为 "${context}"`, block.source));
+            }
+
+            StructuredDataValidator.getEntities(block.data).forEach(entity => {
+                entities.push({ data: entity, source: block.source });
+                this.validateEntity(entity, block.source, issues);
+            });
+        });
+
+        const merged = this.mergeEntities(entities, this.getBaseUrl(doc), issues);
+        this.checkPageLevelRules(merged, issues);
+
+        return {
+            blocks: blocks.length,
+            entities: merged.map(entity => ({
+                id: entity.data['@id'],
+                type: entity.data['@type'],
+                sources: entity.sources
+            })),
+            issues,
+            graph: {
+                '@context': 'https://schema.org',
+                '@graph': merged.map(entity => entity.data)
+            }
+        };
+    }
+
+    /**
+     * 校验并把页面中可解析的JSON-LD替换为单个 @graph 脚本
+     * 无法解析的脚本保留在原位，便于排查
+     */
+    apply(doc = document) {
+        const result = this.validate(doc);
+        const blocks = this.collect(doc).filter(block => !block.error);
+        if (blocks.length === 0) return result;
+
+        const script = doc.createElement('script');
+        script.type = 'application/ld+json';
+        script.setAttribute('data-schema', 'graph');
+        script.textContent = JSON.stringify(result.graph, null, 2);
+
+        blocks[0].script.parentNode.insertBefore(script, blocks[0].script);
+        blocks.forEach(block => block.script.remove());
+
+        return result;
+    }
+
+    /**
+     * 展开JSON-LD中的顶层实体（支持 @graph 和数组形式）
+     */
+    static getEntities(data) {
+        return [].concat(data)
+            .flatMap(item => (item && item['@graph']) ? [].concat(item['@graph']) : [item])
+            .filter(item => item && typeof item === 'object');
+    }
+
+    /**
+     * 获取实体的类型列表（@type 可以是字符串或数组）
+     */
+    static getTypes(entity) {
+        return [].concat(entity['@type'] || []);
+    }
+
+    /**
+     * 判断实体是否属于某个类型（包含子类型）
+     */
+    static isType(entity, type) {
+        return StructuredDataValidator.getTypes(entity).some(entityType => {
+            let current = entityType;
+            while (current) {
+                if (current === type) return true;
+                current = StructuredDataValidator.PARENT_TYPES[current];
+            }
+            return false;
+        });
+    }
+
+    /**
+     * 递归校验实体及其嵌套的类型化对象
+     */
+    validateEntity(entity, source, issues, path = null) {
+        const types = StructuredDataValidator.getTypes(entity);
+        const label = path || types.join('/') || '(无类型)';
+
+        if (types.length === 0 && !entity['@id']) {
+            issues.push(this.createIssue('error', 'missing_type', label, '@type', '缺少 @type', source));
+        }
+
+        types.forEach(type => {
+            const rule = StructuredDataValidator.SCHEMA_RULES[type];
+            if (!rule) {
+                issues.push(this.createIssue('warning', 'unknown_type', label, '@type', `未知的schema.org类型 "${type}"`, source));
+                return;
+            }
+
+            this.getRequiredProperties(type).forEach(property => {
+                if (this.isEmpty(entity[property])) {
+                    issues.push(this.createIssue('error', 'missing_required', label, property, `${type} 缺少必需属性 ${property}`, source));
+                }
+            });
+            // 嵌套对象多为对其他实体的引用，只对顶层实体提示建议属性
+            (path ? [] : rule.recommended || []).forEach(property => {
+                if (this.isEmpty(entity[property])) {
+                    issues.push(this.createIssue('warning', 'missing_recommended', label, property, `${type} 建议提供 ${property}`, source));
+                }
+            });
+            if (rule.richResult) {
+                rule.richResult(entity).forEach(message => {
+                    issues.push(this.createIssue('error', 'rich_result', label, null, message, source));
+                });
+            }
+        });
+
+        Object.entries(entity).forEach(([property, value]) => {
+            if (property.startsWith('@')) return;
+            [].concat(value).forEach((item, index) => {
+                if (item && typeof item === 'object' && item['@type']) {
+                    const itemPath = `${label}.${property}${Array.isArray(value) ? `[${index}]` : ''}`;
+                    this.validateEntity(item, source, issues, itemPath);
+                }
+            });
+        });
+    }
+
+    /**
+     * 类型的必需属性（包含父类型的必需属性）
+     */
+    getRequiredProperties(type) {
+        const required = [];
+        let current = type;
+        while (current) {
+            const rule = StructuredDataValidator.SCHEMA_RULES[current];
+            if (rule) required.push(...rule.required);
+            current = StructuredDataValidator.PARENT_TYPES[current];
+        }
+        return Array.from(new Set(required));
+    }
+
+    /**
+     * 合并重复实体，生成稳定的 @id，并把嵌套引用替换为 @id
+     */
+    mergeEntities(entities, baseUrl, issues) {
+        const groups = new Map();
+
+        entities.forEach(({ data, source }) => {
+            const key = this.getEntityKey(data);
+            const entity = this.stripContext(data);
+
+            if (!groups.has(key)) {
+                groups.set(key, { key, data: entity, sources: [source] });
+                return;
+            }
+
+            const group = groups.get(key);
+            group.sources.push(source);
+            this.mergeInto(group.data, entity, key, group.sources[0], source, issues);
+        });
+
+        groups.forEach(group => {
+            if (group.sources.length > 1) {
+                issues.push(this.createIssue('warning', 'duplicate', group.key, null,
+                    `${group.sources.length} 个脚本重复定义了同一实体，已合并`, group.sources.join(', ')));
+            }
+        });
+
+        this.assignIds(Array.from(groups.values()), baseUrl);
+        const merged = Array.from(groups.values());
+        merged.forEach(group => {
+            group.data = this.linkReferences(group.data, groups, true);
+        });
+        return merged;
+    }
+
+    /**
+     * 实体的识别键：每个页面只应有一个的类型按类型识别，Person按姓名识别，其他按类型+url/name识别，最后才使用 @id
+     * 这样已合并的 @graph 再次合并时，实体仍能与新注入的同一实体对应上
+     */
+    getEntityKey(entity) {
+        const type = StructuredDataValidator.getTypes(entity)[0];
+        if (StructuredDataValidator.PAGE_SINGLETONS.includes(type)) return type;
+        if (type === 'Person' && entity.name) return `Person|${entity.name}`;
+        if (type && (entity.url || entity.name)) return `${type}|${entity.url || entity.name}`;
+        return entity['@id'] || `${type || 'Thing'}|${JSON.stringify(entity)}`;
+    }
+
+    /**
+     * 把source实体合并到target：数组取并集，嵌套对象递归合并，标量不一致时记录冲突并保留先出现的值
+     */
+    mergeInto(target, source, key, targetSource, sourceSource, issues) {
+        Object.entries(source).forEach(([property, value]) => {
+            const current = target[property];
+
+            if (current === undefined) {
+                target[property] = value;
+            } else if (property === '@type') {
+                const types = Array.from(new Set([...[].concat(current), ...[].concat(value)]));
+                target[property] = types.length === 1 ? types[0] : types;
+            } else if (Array.isArray(current) || Array.isArray(value)) {
+                target[property] = this.unionValues([].concat(current), [].concat(value));
+            } else if (this.isPlainObject(current) && this.isPlainObject(value)) {
+                if (this.isReference(current) || this.isReference(value)) {
+                    // 已链接为 @id 引用的属性保持不变，具体对象在链接阶段再替换为引用
+                    if (this.isReference(current) && !this.isReference(value)) target[property] = value;
+                } else if (this.getEntityKey(current) === this.getEntityKey(value)) {
+                    this.mergeInto(current, value, `${key}.${property}`, targetSource, sourceSource, issues);
+                } else if (JSON.stringify(current) !== JSON.stringify(value)) {
+                    target[property] = [current, value];
+                }
+            } else if (JSON.stringify(current) !== JSON.stringify(value)) {
+                issues.push(this.createIssue('warning', 'conflict', key, property,
+                    `取值不一致: "${this.preview(current)}"（${targetSource}）与 "${this.preview(value)}"（${sourceSource}），保留前者`,
+                    `${targetSource}, ${sourceSource}`));
+            }
+        });
+    }
+
+    /**
+     * 数组取并集：同一实体（如同名Question）只保留一个
+     */
+    unionValues(current, values) {
+        const result = [...current];
+        values.forEach(value => {
+            const key = this.isPlainObject(value) ? this.getEntityKey(value) : JSON.stringify(value);
+            const exists = result.some(item => (this.isPlainObject(item) ? this.getEntityKey(item) : JSON.stringify(item)) === key);
+            if (!exists) result.push(value);
+        });
+        return result.length === 1 ? result[0] : result;
+    }
+
+    /**
+     * 为合并后的实体分配稳定的 @id：同类型只有一个实体时为 #type，否则附加识别键的散列
+     * @id 只取决于实体本身，与脚本的注入顺序无关
+     */
+    assignIds(groups, baseUrl) {
+        const typeCounts = {};
+        groups.forEach(group => {
+            const type = StructuredDataValidator.getTypes(group.data)[0] || 'Thing';
+            typeCounts[type] = (typeCounts[type] || 0) + 1;
+        });
+
+        groups.forEach(group => {
+            if (group.data['@id']) return;
+
+            const type = StructuredDataValidator.getTypes(group.data)[0] || 'Thing';
+            const slug = type.replace(/([a-z])([A-Z])/g, '$1-$2').replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2').toLowerCase();
+            const suffix = typeCounts[type] > 1 ? `-${this.hash(group.key)}` : '';
+            group.data = { '@id': `${baseUrl}#${slug}${suffix}`, ...group.data };
+        });
+    }
+
+    /**
+     * 把与顶层实体相同的嵌套对象替换为 @id 引用
+     */
+    linkReferences(value, groups, isRoot = false) {
+        if (Array.isArray(value)) {
+            const linked = this.unionValues([], value.map(item => this.linkReferences(item, groups)));
+            return Array.isArray(linked) ? linked : [linked];
+        }
+        if (!this.isPlainObject(value)) return value;
+
+        if (!isRoot && value['@type']) {
+            const group = groups.get(this.getEntityKey(value));
+            if (group && group.data !== value && this.isSubsetOf(value, group.data)) {
+                return { '@id': group.data['@id'] };
+            }
+        }
+
+        const linked = {};
+        Object.entries(value).forEach(([property, item]) => {
+            linked[property] = property.startsWith('@') ? item : this.linkReferences(item, groups);
+        });
+        return linked;
+    }
+
+    /**
+     * 页面级规则：Google要求的FAQPage/QAPage使用方式
+     */
+    checkPageLevelRules(merged, issues) {
+        const hasType = type => merged.some(entity => StructuredDataValidator.isType(entity.data, type));
+
+        if (hasType('FAQPage') && hasType('QAPage')) {
+            const sources = merged
+                .filter(entity => StructuredDataValidator.isType(entity.data, 'FAQPage') || StructuredDataValidator.isType(entity.data, 'QAPage'))
+                .flatMap(entity => entity.sources);
+            issues.push(this.createIssue('warning', 'rich_result', 'FAQPage/QAPage', null,
+                '同一页面同时声明FAQPage和QAPage，Google只会选用其中一种富媒体结果', sources.join(', ')));
+        }
+    }
+
+    getBaseUrl(doc) {
+        if (this.config.baseUrl) return this.config.baseUrl.replace(/#.*$/, '');
+
+        const canonical = doc.querySelector('link[rel="canonical"]');
+        const url = canonical ? canonical.getAttribute('href') : doc.location.href;
+        return url.replace(/#.*$/, '').replace(/\/?$/, '/');
+    }
+
+    stripContext(entity) {
+        const { '@context': context, ...rest } = JSON.parse(JSON.stringify(entity));
+        return rest;
+    }
+
+    isSchemaContext(context) {
+        return [].concat(context).some(item => typeof item === 'string' && /^https?:\/\/schema\.org\/?$/.test(item));
+    }
+
+    isSubsetOf(value, target) {
+        return Object.entries(value).every(([property, item]) => {
+            if (property === '@type') {
+                return [].concat(item).every(type => [].concat(target['@type']).includes(type));
+            }
+            return JSON.stringify([].concat(target[property])).includes(JSON.stringify(item));
+        });
+    }
+
+    isReference(value) {
+        return this.isPlainObject(value) && Object.keys(value).length === 1 && value['@id'] !== undefined;
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    isEmpty(value) {
+        return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    preview(value) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+    }
+
+    hash(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+        }
+        return hash.toString(36).slice(0, 6);
+    }
+
+    createIssue(severity, type, entity, property, message, source) {
+        return { severity, type, entity, property, message, source };
+    }
+}
+
+/**
+ * 每个页面只应出现一次的类型，重复出现时直接合并
+ */
+StructuredDataValidator.PAGE_SINGLETONS = ['FAQPage', 'QAPage', 'WebSite', 'BreadcrumbList'];
+
+/**
+ * schema.org类型的父类型（仅列出本站用到的）
+ */
+StructuredDataValidator.PARENT_TYPES = {
+    ProfessionalService: 'LocalBusiness',
+    LocalBusiness: 'Organization',
+    ContactPage: 'WebPage',
+    ProfilePage: 'WebPage',
+    FAQPage: 'WebPage',
+    QAPage: 'WebPage'
+};
+
+/**
+ * schema.org类型规则：必需属性、建议属性和Google富媒体搜索结果的额外要求
+ */
+StructuredDataValidator.SCHEMA_RULES = {
+    Thing: { required: [] },
+    Person: { required: ['name'], recommended: ['url', 'image', 'jobTitle'] },
+    Organization: { required: ['name'], recommended: ['url'] },
+    LocalBusiness: { required: ['address'], recommended: ['telephone', 'url', 'image'] },
+    ProfessionalService: { required: [] },
+    WebSite: {
+        required: ['name', 'url'],
+        richResult: entity => {
+            const action = entity.potentialAction;
+            if (!action || !StructuredDataValidator.isType(action, 'SearchAction')) return [];
+            const messages = [];
+            if (!action.target) messages.push('站内搜索框的SearchAction缺少target');
+            if (!action['query-input']) messages.push('站内搜索框的SearchAction缺少query-input');
+            return messages;
+        }
+    },
+    WebPage: { required: [] },
+    ContactPage: { required: [] },
+    ProfilePage: { required: [], recommended: ['mainEntity'] },
+    FAQPage: {
+        required: ['mainEntity'],
+        // Google FAQ富媒体结果：每个Question都需要name和带text的acceptedAnswer
+        richResult: entity => [].concat(entity.mainEntity || []).flatMap((question, index) => {
+            const messages = [];
+            if (!StructuredDataValidator.isType(question, 'Question')) {
+                messages.push(`mainEntity[${index}] 必须是Question`);
+            } else if (!question.acceptedAnswer || !question.acceptedAnswer.text) {
+                messages.push(`问题 "${question.name}" 缺少带text的acceptedAnswer`);
+            }
+            return messages;
+        })
+    },
+    QAPage: {
+        required: ['mainEntity'],
+        // Google问答富媒体结果：mainEntity必须是单个Question，且包含answerCount和回答
+        richResult: entity => {
+            const questions = [].concat(entity.mainEntity || []);
+            const messages = [];
+            if (questions.length > 1) {
+                messages.push(`QAPage的mainEntity应为单个Question，实际有 ${questions.length} 个，多个问答应使用FAQPage`);
+            }
+            questions.forEach(question => {
+                if (question.answerCount === undefined) messages.push(`问题 "${question.name}" 缺少answerCount`);
+                if (!question.acceptedAnswer && !question.suggestedAnswer) messages.push(`问题 "${question.name}" 缺少acceptedAnswer或suggestedAnswer`);
+            });
+            return messages;
+        }
+    },
+    Question: { required: ['name'] },
+    Answer: { required: ['text'] },
+    BreadcrumbList: {
+        required: ['itemListElement'],
+        richResult: entity => [].concat(entity.itemListElement || []).flatMap((item, index) => {
+            const messages = [];
+            if (item.position === undefined) messages.push(`面包屑第 ${index + 1} 项缺少position`);
+            if (!item.name && !(item.item && item.item.name)) messages.push(`面包屑第 ${index + 1} 项缺少name`);
+            return messages;
+        })
+    },
+    ListItem: { required: ['position'] },
+    Occupation: { required: ['name'] },
+    EducationalOccupationalCredential: { required: ['name'] },
+    PostalAddress: { required: [], recommended: ['addressCountry'] },
+    GeoCoordinates: { required: ['latitude', 'longitude'] },
+    ContactPoint: { required: ['contactType'] },
+    SearchAction: { required: ['target'] },
+    EntryPoint: { required: ['urlTemplate'] },
+    Service: { required: ['name'] },
+    Place: { required: [] },
+    City: { required: ['name'] },
+    State: { required: ['name'] },
+    Country: { required: ['name'] },
+    AdministrativeArea: { required: ['name'] },
+    ImageObject: { required: ['url'] },
+    Offer: { required: [] },
+    OfferCatalog: { required: [] }
+};
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StructuredDataValidator;
+} else if (typeof window !== 'undefined') {
+    window.StructuredDataValidator = StructuredDataValidator;
+}
@@ -0,0 +1,276 @@
+/**
+ * 中英文混合文本分析
+ * 页面内容几乎全是中文，按空格切分统计词数、用英文Flesch公式评估可读性都没有意义
+ * 本模块提供基于内置词典的中文分词（双向最大匹配，不依赖网络）、中英文混合切分、
+ * 关键词计数和中文可读性评分，ContentSemanticOptimizer、SEOAnalyzer和SEOMonitoringAnalytics共用
+ */
+
+class TextAnalyzer {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.words] - 额外的词（如站点关键词、技能），分词时作为整体切出
+     */
+    constructor(options = {}) {
+        this.config = {
+            cjkCharsPerMinute: 300,   // 中文阅读速度（字/分钟）
+            latinWordsPerMinute: 200, // 英文阅读速度（词/分钟）
+            minSentenceLength: 6,     // 少于该字数的片段（导航、标签、按钮文字）不计为句子
+            idealSentenceLength: 15,  // 不扣分的平均句长（字）
+            sentenceLengthPenalty: 1.5, // 平均句长每超出1字扣的分数
+            difficultWordPenalty: 150 // 难词比例每1%扣1.5分
+        };
+
+        this.dictionary = new Set();
+        this.commonWords = new Set(TextAnalyzer.COMMON_WORDS.split(/\s+/));
+        this.maxWordLength = 1;
+
+        this.addWords(TextAnalyzer.COMMON_WORDS.split(/\s+/));
+        this.addWords(TextAnalyzer.DOMAIN_WORDS.split(/\s+/));
+        this.addWords(options.words || []);
+    }
+
+    /**
+     * 向词典添加词，中英文混合的词（如 "Spring Boot开发"）只取其中的中文部分
+     */
+    addWords(words) {
+        words.forEach(word => {
+            (String(word).match(new RegExp(TextAnalyzer.CJK_RUN, 'g')) || []).forEach(part => {
+                if (part.length < 2) return;
+                this.dictionary.add(part);
+                this.maxWordLength = Math.max(this.maxWordLength, part.length);
+            });
+        });
+        return this;
+    }
+
+    /**
+     * 切分文本：中文按词典分词，英文单词和数字整体保留，标点和空白丢弃
+     * @returns {Array} [{ text, type: 'cjk' | 'latin' | 'number' }]
+     */
+    tokenize(text) {
+        const tokens = [];
+        const pattern = new RegExp(`(${TextAnalyzer.CJK_RUN.source})|([A-Za-z][A-Za-z0-9]*(?:[+#]+|(?:[.\\-'][A-Za-z0-9]+)*))|(\\d+(?:\\.\\d+)?%?)`, 'g');
+        let match;
+
+        while ((match = pattern.exec(String(text || ''))) !== null) {
+            if (match[1]) {
+                this.segment(match[1]).forEach(word => tokens.push({ text: word, type: 'cjk' }));
+            } else if (match[2]) {
+                tokens.push({ text: match[2], type: 'latin' });
+            } else {
+                tokens.push({ text: match[3], type: 'number' });
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * 中文分词：正向和逆向最大匹配各切一次，取词数更少的结果，词数相同时取单字更少的结果
+     */
+    segment(run) {
+        const forward = this.matchForward(run);
+        const backward = this.matchBackward(run);
+        if (forward.length !== backward.length) {
+            return forward.length < backward.length ? forward : backward;
+        }
+
+        const singles = words => words.filter(word => word.length === 1).length;
+        return singles(backward) <= singles(forward) ? backward : forward;
+    }
+
+    matchForward(run) {
+        const words = [];
+        let start = 0;
+        while (start < run.length) {
+            let length = Math.min(this.maxWordLength, run.length - start);
+            while (length > 1 && !this.dictionary.has(run.substr(start, length))) {
+                length--;
+            }
+            words.push(run.substr(start, length));
+            start += length;
+        }
+        return words;
+    }
+
+    matchBackward(run) {
+        const words = [];
+        let end = run.length;
+        while (end > 0) {
+            let length = Math.min(this.maxWordLength, end);
+            while (length > 1 && !this.dictionary.has(run.substr(end - length, length))) {
+                length--;
+            }
+            words.unshift(run.substr(end - length, length));
+            end -= length;
+        }
+        return words;
+    }
+
+    /**
+     * 获取文本中的词（英文统一为小写）
+     */
+    getWords(text) {
+        return this.tokenize(text).map(token => token.type === 'latin' ? token.text.toLowerCase() : token.text);
+    }
+
+    countWords(text) {
+        return this.tokenize(text).length;
+    }
+
+    /**
+     * 统计文本长度：中文按字计，英文和数字按词计
+     */
+    countUnits(text) {
+        return this.tokenize(text).reduce((sum, token) => sum + (token.type === 'cjk' ? token.text.length : 1), 0);
+    }
+
+    /**
+     * 按中英文句末标点切分句子（不会在 "Node.js"、"3.5" 这类词内部切开）
+     */
+    splitSentences(text) {
+        return String(text || '')
+            .split(/[。！？!?；;…\n]+|\.(?=\s|$)/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => this.countWords(sentence) > 0);
+    }
+
+    /**
+     * 统计关键词出现次数
+     * 含中文的关键词按子串计数（中文没有词边界，"大数据开发" 中也包含 "大数据"），
+     * 纯英文关键词按完整单词序列计数，不区分大小写
+     */
+    countOccurrences(text, keyword) {
+        const source = String(text || '').toLowerCase();
+        const target = String(keyword).toLowerCase().trim();
+        if (!target) return 0;
+
+        if (TextAnalyzer.CJK_RUN.test(target)) {
+            return source.split(target).length - 1;
+        }
+
+        const words = this.getWords(source);
+        const keywordWords = this.getWords(target);
+        let count = 0;
+        for (let i = 0; i <= words.length - keywordWords.length; i++) {
+            if (keywordWords.every((word, offset) => words[i + offset] === word)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * 关键词密度：关键词占用的词数 / 总词数
+     * @returns {Object} { 关键词: { count, density } }，density为百分比
+     */
+    keywordDensity(text, keywords) {
+        const totalWords = this.countWords(text);
+        const density = {};
+
+        keywords.forEach(keyword => {
+            const count = this.countOccurrences(text, keyword);
+            const keywordWords = Math.max(1, this.countWords(keyword));
+            density[keyword] = {
+                count,
+                density: totalWords > 0 ? parseFloat((count * keywordWords / totalWords * 100).toFixed(2)) : 0
+            };
+        });
+        return density;
+    }
+
+    /**
+     * 中文可读性评分（0-100，越高越易读）
+     * 采用中文可读性公式中最常用的两个因素：平均句长（字）和难词比例，
+     * 难词指不在常用词表中的多字词（多为专业术语）和英文术语；过短的片段不参与计算
+     */
+    readability(text) {
+        const sentences = this.splitSentences(text)
+            .filter(sentence => this.countUnits(sentence) >= this.config.minSentenceLength);
+        const tokens = sentences.flatMap(sentence => this.tokenize(sentence));
+        const words = tokens.filter(token => token.type !== 'number');
+        const units = tokens.reduce((sum, token) => sum + (token.type === 'cjk' ? token.text.length : 1), 0);
+
+        const difficultWords = words.filter(token => token.type === 'latin'
+            ? token.text.length > 3
+            : token.text.length > 1 && !this.commonWords.has(token.text));
+
+        const avgSentenceLength = sentences.length > 0 ? units / sentences.length : 0;
+        const difficultWordRatio = words.length > 0 ? difficultWords.length / words.length : 0;
+
+        const score = 100
+            - Math.max(0, avgSentenceLength - this.config.idealSentenceLength) * this.config.sentenceLengthPenalty
+            - difficultWordRatio * this.config.difficultWordPenalty;
+        const normalized = Math.round(Math.max(0, Math.min(100, score)));
+
+        return {
+            score: normalized,
+            level: TextAnalyzer.getReadabilityLevel(normalized),
+            sentenceCount: sentences.length,
+            wordCount: tokens.length,
+            characterCount: units,
+            avgSentenceLength: parseFloat(avgSentenceLength.toFixed(2)),
+            avgWordsPerSentence: sentences.length > 0 ? parseFloat((tokens.length / sentences.length).toFixed(2)) : 0,
+            difficultWordRatio: parseFloat(difficultWordRatio.toFixed(3))
+        };
+    }
+
+    /**
+     * 估算阅读时间（分钟）：中文按字、英文按词计算
+     */
+    estimateReadingTime(text) {
+        const tokens = this.tokenize(text);
+        const cjkChars = tokens.filter(token => token.type === 'cjk').reduce((sum, token) => sum + token.text.length, 0);
+        const latinWords = tokens.length - tokens.filter(token => token.type === 'cjk').length;
+        const minutes = cjkChars / this.config.cjkCharsPerMinute + latinWords / this.config.latinWordsPerMinute;
+        return Math.max(1, Math.ceil(minutes));
+    }
+
+    static getReadabilityLevel(score) {
+        if (score >= 80) return '非常易读';
+        if (score >= 65) return '易读';
+        if (score >= 50) return '标准';
+        if (score >= 35) return '较难读';
+        return '难读';
+    }
+}
+
+TextAnalyzer.CJK_RUN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+/;
+
+/**
+ * 常用词表（通用词汇），可读性评分中不计为难词
+ */
+TextAnalyzer.COMMON_WORDS = `
+我们 你们 他们 自己 什么 怎么 为什么 这个 那个 这些 那些 这里 那里 哪里 如何 因为 所以 但是 而且 并且 或者 如果 虽然 然后
+可以 能够 需要 应该 已经 正在 没有 不是 就是 还是 只是 以及 通过 对于 关于 根据 按照 为了 由于 其中 之后 之前 以上 以下
+时间 今天 现在 以后 以前 目前 当前 同时 一直 每天 每年 一年 多年 年度 之间 期间 一起 一些 一个 一种 一次 更多 很多 许多
+所有 全部 部分 主要 重要 基本 一般 特别 非常 比较 更加 最新 最佳 最好 优秀 丰富 完整 全面 简单 快速 稳定 准确 有效 高效
+问题 方法 方式 方面 内容 信息 情况 结果 过程 目标 计划 工作 生活 学习 研究 发展 变化 影响 作用 意义 价值 水平 质量 数量
+公司 企业 团队 客户 用户 个人 成员 同事 朋友 领导 负责 负责人 合作 沟通 交流 联系 帮助 支持 服务 提供 分享 欢迎 感谢
+开始 完成 实现 进行 参与 主导 推动 建立 建设 创建 提高 提升 增加 减少 降低 改进 改善 保证 确保 解决 处理 分析 管理 使用
+了解 熟悉 掌握 精通 擅长 专注 致力 具备 拥有 获得 成功 成果 成绩 经验 能力 技能 专业 专长 背景 经历 项目 案例 领域 行业
+首页 关于 联系 更多 查看 返回 搜索 下载 上传 登录 注册 设置 分类 标签 全部 常见 展示 介绍 简介 详情 说明 地址 电话 邮箱
+中国 北京 上海 城市 地区 国内 国际 全国 市场 社会 经济 文化 教育 健康 安全 环境 环保 交通 资源 能源 产品 价格 成本 效率
+核心 关键 基础 标准 规范 体系 结构 模式 类型 特点 优势 问题 挑战 机会 创新 突破 趋势 未来 方向 策略 方案 建议 评估 测试
+提出 设计 开发 构建 部署 运行 维护 升级 迁移 集成 配置 监控 优化 调整 选择 决策 判断 预测 统计 计算 记录 报告 文档 资料
+大型 小型 高级 初级 中级 资深 独立 多个 各种 各类 不同 相同 相关 实际 具体 真正 直接 自动 手动 实时 每日 每月 平均 超过
+满意 满意度 贡献 职责 岗位 职位 工程师 专家 顾问 老师 学生 作者 读者 朋友 家人 时代 世界 国家 政府 部门 机构 组织 单位
+`.trim();
+
+/**
+ * 技术领域词表：保证专业术语整体切分，可读性评分中计为难词
+ */
+TextAnalyzer.DOMAIN_WORDS = `
+开发 开发者 开发工程师 后端 前端 全栈 架构 架构师 架构设计 系统架构 技术 技术专家 技术架构 技术负责人 技术挑战 技术方案 技术栈
+编程 程序 代码 算法 数据 数据库 数据处理 数据分析 数据仓库 数据湖 数据中台 数据孤岛 数据治理 数据架构 数据开发 大数据 大数据开发
+大数据架构 大数据处理 实时数据 实时计算 流处理 批处理 离线计算 分布式 分布式系统 分布式计算 高并发 高可用 负载均衡 微服务 微服务架构
+服务架构 中间件 消息队列 缓存 容器 容器化 云计算 云原生 阿里云 服务器 集群 运维 自动化 持续集成 性能优化 性能提升 性能突破
+人工智能 机器学习 深度学习 神经网络 大模型 模型训练 智能体 智能化 智能预警 预警算法 自然语言处理 计算机视觉 推荐系统 知识图谱
+企业级 企业级应用 生态系统 业务系统 数据平台 处理平台 解决方案 应用开发 应用工程师 认证 架构师认证 工程师认证 技术咨询
+接口 框架 组件 模块 引擎 调度 存储 检索 索引 查询 吞吐量 延迟 响应时间 并发量 准确率 召回率 可扩展性 可用性 稳定性 安全性
+水务 水质 监测 预警 物联网 传感器 可视化 报表 图表 仪表盘 权限 日志 埋点 指标
+`.trim();
+
+// 导出供其他模块使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextAnalyzer;
+} else if (typeof window !== 'undefined') {
+    window.TextAnalyzer = TextAnalyzer;
+}
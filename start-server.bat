@@ -5,8 +5,9 @@ echo 请选择启动方式：
 echo 1. 使用 Python (推荐)
 echo 2. 使用 Node.js http-server
 echo 3. 直接打开文件
+echo 4. 使用本地分析收集器 (Node.js，接收 /api/analytics 和 /api/vitals)
 echo.
-set /p choice=请输入选择 (1-3): 
+set /p choice=请输入选择 (1-4): 
 
 if "%choice%"=="1" (
     echo 使用 Python 启动服务器...
@@ -24,6 +25,12 @@ if "%choice%"=="1" (
     echo 直接打开文件...
     start "" "%~dp0test.html"
     start "" "%~dp0src\index.html"
+) else if "%choice%"=="4" (
+    echo 使用本地分析收集器启动服务器...
+    cd /d "%~dp0"
+    echo 服务器地址: http://localhost:8080
+    echo 按 Ctrl+C 停止服务器
+    node tools\analytics-collector.js --port 8080
 ) else (
     echo 无效选择，直接打开文件...
     start "" "%~dp0test.html"
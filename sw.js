@@ -4,40 +4,257 @@
  * 功能: 缓存关键资源，提供离线访问能力
  */
 
-const CACHE_NAME = 'caojiebing-site-v1.0.0';
-const CACHE_URLS = [
-    '/',
-    '/index.html',
-    '/assets/css/styles.css',
-    '/assets/css/critical.css',
-    '/assets/js/script.js',
-    '/assets/js/chart-config.js',
-    '/assets/images/logo.png',
-    '/assets/images/ai-engineer.jpg',
-    '/assets/certificate/certificates.html',
-    '/assets/certificate/2017-best-newcomer.html',
-    '/assets/certificate/2018-fastest-progress.html',
-    '/assets/certificate/2018-excellent-employee.html',
-    '/assets/certificate/2019-innovation-breakthrough.html',
-    '/assets/certificate/2019-excellent-pm.html',
-    '/manifest.json'
+const CACHE_PREFIX = 'caojiebing-site';
+const PRECACHE_NAME = `${CACHE_PREFIX}-precache`;
+const RUNTIME_CACHES = {
+    pages: `${CACHE_PREFIX}-pages`,
+    assets: `${CACHE_PREFIX}-assets`,
+    media: `${CACHE_PREFIX}-media`,
+    data: `${CACHE_PREFIX}-data`
+};
+const PRECACHE_RETRIES = 2; // 必需条目下载失败后的重试次数
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * 运行时缓存的过期配置：超过maxAgeSeconds的条目视为过期，超过maxEntries时删除最久未访问的条目
+ * 条目的写入和访问时间记录在IndexedDB中（不透明响应无法读取头部，不能依赖Date头）
+ */
+const CACHE_EXPIRATION = {
+    [RUNTIME_CACHES.pages]: { maxEntries: 20, maxAgeSeconds: 7 * DAY_SECONDS },
+    [RUNTIME_CACHES.assets]: { maxEntries: 60, maxAgeSeconds: 30 * DAY_SECONDS },
+    [RUNTIME_CACHES.media]: { maxEntries: 60, maxAgeSeconds: 30 * DAY_SECONDS },
+    [RUNTIME_CACHES.data]: { maxEntries: 30, maxAgeSeconds: DAY_SECONDS }
+};
+
+// 存储配额不足时依次清空的缓存，价值最低的在前；预缓存不会被清空
+const PURGE_ORDER = [RUNTIME_CACHES.media, RUNTIME_CACHES.data, RUNTIME_CACHES.assets, RUNTIME_CACHES.pages];
+
+const EXPIRATION_DB_NAME = `${CACHE_PREFIX}-expiration`;
+const EXPIRATION_STORE = 'entries';
+
+// 允许缓存的跨域主机（Google Fonts和Font Awesome），其他跨域请求不经过Service Worker处理
+const CROSS_ORIGIN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+/**
+ * 路由表：按顺序匹配第一条，未匹配的请求不拦截
+ * match({ request, url, sameOrigin }) 判断是否匹配；strategy为缓存策略，cacheName为运行时缓存
+ */
+const ROUTES = [
+    {
+        // 预缓存清单中的页面（首页和离线页面）：返回预缓存中的HTML，与页面加载的CSS/JS来自同一版本；
+        // 网络请求只用于判断是否离线和发现新发布的版本，离线时返回离线页面
+        name: 'precachedPages',
+        match: ({ request }) => request.mode === 'navigate' && getPrecacheKey(request) !== null,
+        strategy: 'precacheNavigation',
+        cacheName: RUNTIME_CACHES.pages,
+        networkTimeoutSeconds: 3
+    },
+    {
+        // 其他页面导航：优先取最新HTML，网络较慢超时时使用缓存，离线时返回离线页面
+        name: 'pages',
+        match: ({ request }) => request.mode === 'navigate',
+        strategy: 'networkFirst',
+        cacheName: RUNTIME_CACHES.pages,
+        networkTimeoutSeconds: 3
+    },
+    {
+        // 分析数据等接口不缓存
+        name: 'api',
+        match: ({ url, sameOrigin }) => sameOrigin && url.pathname.startsWith('/api/'),
+        strategy: null
+    },
+    {
+        // 预缓存清单中的文件（包括站点自身的CSS/JS）直接从预缓存返回，不经过下面的assets路由：
+        // 清单按文件内容哈希生成，文件变化时sw.js随之变化，新版本的文件在新Service Worker激活（页面发送SKIP_WAITING）后才使用；
+        // 在此之前页面和资源都来自当前激活版本的预缓存（见precachedPages路由），不会混用新旧版本
+        name: 'precache',
+        match: ({ request }) => getPrecacheKey(request) !== null,
+        strategy: 'precache'
+    },
+    {
+        // 不在预缓存清单中的CSS/JS，实际主要是CROSS_ORIGIN_HOSTS中的Google Fonts样式和Font Awesome
+        name: 'assets',
+        match: ({ request }) => request.destination === 'style' || request.destination === 'script',
+        strategy: 'staleWhileRevalidate',
+        cacheName: RUNTIME_CACHES.assets
+    },
+    {
+        name: 'media',
+        match: ({ request }) => request.destination === 'image' || request.destination === 'font',
+        strategy: 'cacheFirst',
+        cacheName: RUNTIME_CACHES.media
+    },
+    {
+        // 其他同源请求（JSON数据、sitemap等）
+        name: 'data',
+        match: ({ sameOrigin }) => sameOrigin,
+        strategy: 'networkFirst',
+        cacheName: RUNTIME_CACHES.data,
+        networkTimeoutSeconds: 3
+    }
+];
+
+// 预缓存清单由 node tools/generate-precache-manifest.js 根据文件内容哈希生成，请勿手动修改
+// precache-manifest:start
+const PRECACHE_MANIFEST = [
+    { url: '/', revision: '9ed471d90f', required: true },
+    { url: '/assets/css/ab-testing-styles.css', revision: '17d09a9fe7' },
+    { url: '/assets/css/critical.css', revision: 'b0c54582c5', required: true },
+    { url: '/assets/css/faq-styles.css', revision: '76a7067f0b' },
+    { url: '/assets/css/social-media-styles.css', revision: '499fc59fd0' },
+    { url: '/assets/css/styles.css', revision: '7b85563469', required: true },
+    { url: '/assets/data/experiments.json', revision: 'b92b20ea17' },
+    { url: '/assets/data/seo-config.json', revision: 'b793014287' },
+    { url: '/assets/data/site-profile.json', revision: '5c7a139c78' },
+    { url: '/assets/images/ai-engineer.jpg', revision: '872c8882d0' },
+    { url: '/assets/js/ab-statistics.js', revision: 'fb88ae59af' },
+    { url: '/assets/js/ab-testing-evaluator.js', revision: '9e0bc24a70' },
+    { url: '/assets/js/ab-testing.js', revision: '2bdfb987dc' },
+    { url: '/assets/js/chart-config.js', revision: 'cd93de5b34' },
+    { url: '/assets/js/content-semantic-optimizer.js', revision: 'c8ad8ccc49' },
+    { url: '/assets/js/core-web-vitals.js', revision: 'f4a3d20bf2' },
+    { url: '/assets/js/faq-content-system.js', revision: '3e803aed50' },
+    { url: '/assets/js/local-seo-optimizer.js', revision: '81229a1221' },
+    { url: '/assets/js/microdata-checker.js', revision: 'f2c9470eb0' },
+    { url: '/assets/js/module-registry.js', revision: 'af338657e7' },
+    { url: '/assets/js/network-status.js', revision: '227762a49e' },
+    { url: '/assets/js/page-analysis-core.js', revision: 'c91a7c287e' },
+    { url: '/assets/js/script.js', revision: 'c1b094df97', required: true },
+    { url: '/assets/js/seo-analyzer.js', revision: '74cbfa88db' },
+    { url: '/assets/js/seo-monitoring-analytics.js', revision: '4691492c17' },
+    { url: '/assets/js/site-profile.js', revision: '9b4fb8e59f' },
+    { url: '/assets/js/social-media-optimizer.js', revision: 'c0557f5440' },
+    { url: '/assets/js/structured-data-validator.js', revision: 'bf5d756185' },
+    { url: '/assets/js/text-analyzer.js', revision: '7a7b59cdb6' },
+    { url: '/index.html', revision: '9ed471d90f', required: true },
+    { url: '/manifest.json', revision: '31b8bb2f11', required: true },
+    { url: '/offline.html', revision: '402ba7d51d', required: true }
 ];
+// precache-manifest:end
+
+// URL路径 -> 缓存键；缓存键带revision参数，文件内容变化时缓存键随之变化
+const PRECACHE_KEYS = new Map(PRECACHE_MANIFEST.map(entry => [entry.url, getCacheKey(entry)]));
+
+function getCacheKey(entry) {
+    const url = new URL(entry.url, self.location.origin);
+    url.searchParams.set('__revision', entry.revision);
+    return url.href;
+}
+
+/**
+ * 预缓存清单中的资源，缓存中已有相同revision的条目不再重新下载
+ * 每个条目单独下载，失败的条目不影响其他条目；必需条目失败后会重试
+ * @returns {Promise<Object>} { total, cached, failed: [{ url, required, error }] }
+ */
+async function precache() {
+    const cache = await caches.open(PRECACHE_NAME);
+    const cachedKeys = new Set((await cache.keys()).map(request => request.url));
+    const pending = PRECACHE_MANIFEST.filter(entry => !cachedKeys.has(PRECACHE_KEYS.get(entry.url)));
+
+    const results = await Promise.allSettled(pending.map(entry => {
+        return precacheEntry(cache, entry, entry.required ? PRECACHE_RETRIES : 0);
+    }));
 
-// 安装事件 - 缓存关键资源
+    const failed = [];
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            const entry = pending[index];
+            failed.push({ url: entry.url, required: Boolean(entry.required), error: result.reason.message });
+        }
+    });
+
+    return { total: PRECACHE_MANIFEST.length, cached: pending.length - failed.length, failed };
+}
+
+async function precacheEntry(cache, entry, retries) {
+    try {
+        // 绕过HTTP缓存，保证取到的内容与revision一致
+        const response = await fetch(entry.url, { cache: 'reload' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        await cache.put(PRECACHE_KEYS.get(entry.url), response);
+    } catch (err) {
+        if (retries > 0) {
+            return precacheEntry(cache, entry, retries - 1);
+        }
+        throw err;
+    }
+}
+
+/**
+ * 向所有页面（包括尚未受控的页面）发送消息
+ */
+async function notifyClients(message) {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach(client => client.postMessage(message));
+}
+
+/**
+ * 预缓存中缺失的条目（安装时下载失败且之后没有通过网络请求补齐）
+ */
+async function getMissingPrecacheEntries() {
+    const cache = await caches.open(PRECACHE_NAME);
+    const cachedKeys = new Set((await cache.keys()).map(request => request.url));
+    return PRECACHE_MANIFEST
+        .filter(entry => !cachedKeys.has(PRECACHE_KEYS.get(entry.url)))
+        .map(entry => ({ url: entry.url, required: Boolean(entry.required) }));
+}
+
+/**
+ * 删除旧版本的缓存和预缓存中已不在清单里的条目
+ */
+async function cleanupCaches() {
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames
+        .filter(cacheName => cacheName !== PRECACHE_NAME && !Object.values(RUNTIME_CACHES).includes(cacheName))
+        .map(cacheName => {
+            console.log('Service Worker: 删除旧缓存', cacheName);
+            return caches.delete(cacheName);
+        }));
+
+    const cache = await caches.open(PRECACHE_NAME);
+    const currentKeys = new Set(PRECACHE_KEYS.values());
+    const staleRequests = (await cache.keys()).filter(request => !currentKeys.has(request.url));
+    await Promise.all(staleRequests.map(request => cache.delete(request)));
+}
+
+/**
+ * 查找请求对应的预缓存键，带查询参数的请求不使用预缓存
+ */
+function getPrecacheKey(request) {
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin || url.search) {
+        return null;
+    }
+    return PRECACHE_KEYS.get(url.pathname) || null;
+}
+
+// 安装事件 - 预缓存清单中新增或内容变化的资源
+// 下载失败的条目通过PRECACHE_REPORT消息告知页面，缓存不完整时仍然激活，缺失的资源在访问时从网络补齐；
+// 只有必需条目失败且已有正在工作的旧版本时才放弃安装，保留旧版本的完整缓存
 self.addEventListener('install', event => {
     console.log('Service Worker: 安装中...');
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => {
-                console.log('Service Worker: 缓存文件');
-                return cache.addAll(CACHE_URLS);
-            })
-            .then(() => {
-                console.log('Service Worker: 安装完成');
-                return self.skipWaiting();
-            })
-            .catch(err => {
-                console.error('Service Worker: 安装失败', err);
+        precache()
+            .then(async report => {
+                const requiredFailed = report.failed.filter(item => item.required);
+                await notifyClients({ type: 'PRECACHE_REPORT', ...report });
+
+                if (report.failed.length > 0) {
+                    console.warn('Service Worker: 以下预缓存条目下载失败', report.failed);
+                }
+                if (requiredFailed.length > 0 && self.registration.active) {
+                    throw new Error(`必需资源下载失败: ${requiredFailed.map(item => item.url).join(', ')}`);
+                }
+
+                console.log(`Service Worker: 安装完成，下载了 ${report.cached}/${report.total} 个预缓存条目`);
+                // 首次安装时没有旧版本，直接激活；更新时等待页面发送SKIP_WAITING，
+                // 避免新版本在会话中途接管页面，让已加载的旧资源与新预缓存中的资源混用
+                if (!self.registration.active) {
+                    return self.skipWaiting();
+                }
             })
     );
 });
@@ -46,17 +263,7 @@ self.addEventListener('install', event => {
 self.addEventListener('activate', event => {
     console.log('Service Worker: 激活中...');
     event.waitUntil(
-        caches.keys()
-            .then(cacheNames => {
-                return Promise.all(
-                    cacheNames.map(cacheName => {
-                        if (cacheName !== CACHE_NAME) {
-                            console.log('Service Worker: 删除旧缓存', cacheName);
-                            return caches.delete(cacheName);
-                        }
-                    })
-                );
-            })
+        cleanupCaches()
             .then(() => {
                 console.log('Service Worker: 激活完成');
                 return self.clients.claim();
@@ -64,82 +271,419 @@ self.addEventListener('activate', event => {
     );
 });
 
-// 拦截请求 - 缓存优先策略
+/**
+ * 查找请求匹配的路由
+ */
+function findRoute(request) {
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (!sameOrigin && !CROSS_ORIGIN_HOSTS.includes(url.hostname)) {
+        return null;
+    }
+    return ROUTES.find(route => route.match({ request, url, sameOrigin })) || null;
+}
+
+/**
+ * 响应是否可以缓存
+ * 跨域的no-cors请求（如未设置crossorigin的样式表）得到不透明响应，status为0，无法判断是否成功；
+ * 只有CROSS_ORIGIN_HOSTS中的请求会被拦截，这些主机的不透明响应照常缓存，由cacheFirst在后台刷新
+ */
+function isCacheable(response) {
+    if (!response) return false;
+    return response.type === 'opaque' || response.status === 200;
+}
+
+let expirationDb = null;
+
+/**
+ * 打开记录缓存条目时间的IndexedDB，条目id为 "缓存名 URL"
+ */
+function openExpirationDb() {
+    if (!expirationDb) {
+        expirationDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(EXPIRATION_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(EXPIRATION_STORE, { keyPath: 'id' });
+                store.createIndex('cacheName', 'cacheName');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                expirationDb = null;
+                reject(request.error);
+            };
+        });
+    }
+    return expirationDb;
+}
+
+/**
+ * 在一个事务中操作条目存储，事务完成后返回callback设置的结果
+ */
+async function withExpirationStore(mode, callback) {
+    const db = await openExpirationDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(EXPIRATION_STORE, mode);
+        let result;
+        callback(transaction.objectStore(EXPIRATION_STORE), value => { result = value; });
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function getEntryId(cacheName, url) {
+    return `${cacheName} ${url}`;
+}
+
+/**
+ * 记录写入缓存的条目
+ */
+function recordEntry(cacheName, url, size) {
+    const now = Date.now();
+    return withExpirationStore('readwrite', store => {
+        store.put({ id: getEntryId(cacheName, url), cacheName, url, size, cachedAt: now, lastAccessed: now });
+    });
+}
+
+/**
+ * 读取条目记录，同时更新最近访问时间
+ */
+function touchEntry(cacheName, url) {
+    return withExpirationStore('readwrite', (store, setResult) => {
+        const request = store.get(getEntryId(cacheName, url));
+        request.onsuccess = () => {
+            const entry = request.result;
+            setResult(entry || null);
+            if (entry) {
+                store.put({ ...entry, lastAccessed: Date.now() });
+            }
+        };
+    });
+}
+
+function getEntries(cacheName) {
+    return withExpirationStore('readonly', (store, setResult) => {
+        const request = store.index('cacheName').getAll(cacheName);
+        request.onsuccess = () => setResult(request.result);
+    });
+}
+
+function deleteEntries(ids) {
+    return withExpirationStore('readwrite', store => {
+        ids.forEach(id => store.delete(id));
+    });
+}
+
+function isEntryExpired(entry, cacheName) {
+    const expiration = CACHE_EXPIRATION[cacheName];
+    return Boolean(expiration && entry && Date.now() - entry.cachedAt > expiration.maxAgeSeconds * 1000);
+}
+
+/**
+ * 删除过期条目，条目数超过上限时按最近访问时间删除最久未使用的条目（LRU）
+ */
+async function enforceExpiration(cacheName) {
+    const expiration = CACHE_EXPIRATION[cacheName];
+    if (!expiration) return;
+
+    const entries = await getEntries(cacheName);
+    const expired = entries.filter(entry => isEntryExpired(entry, cacheName));
+    const overflow = entries
+        .filter(entry => !expired.includes(entry))
+        .sort((a, b) => b.lastAccessed - a.lastAccessed)
+        .slice(expiration.maxEntries);
+    const removed = [...expired, ...overflow];
+    if (removed.length === 0) return;
+
+    const cache = await caches.open(cacheName);
+    await Promise.all(removed.map(entry => cache.delete(entry.url)));
+    await deleteEntries(removed.map(entry => entry.id));
+}
+
+/**
+ * 清空整个运行时缓存及其条目记录
+ */
+async function purgeCache(cacheName) {
+    console.warn('Service Worker: 存储空间不足，清空缓存', cacheName);
+    const entries = await getEntries(cacheName);
+    await caches.delete(cacheName);
+    await deleteEntries(entries.map(entry => entry.id));
+}
+
+/**
+ * 写入缓存；配额不足（QuotaExceededError）时按PURGE_ORDER清空价值较低的缓存后重试
+ * @returns {Promise<boolean>} 是否写入成功
+ */
+async function putInCache(cacheName, cacheKey, response) {
+    const candidates = PURGE_ORDER.filter(name => name !== cacheName);
+    const url = typeof cacheKey === 'string' ? cacheKey : cacheKey.url;
+
+    for (;;) {
+        try {
+            const cache = await caches.open(cacheName);
+            await cache.put(cacheKey, response.clone());
+            break;
+        } catch (err) {
+            if (err.name !== 'QuotaExceededError' || candidates.length === 0) {
+                console.warn('Service Worker: 写入缓存失败', url, err);
+                return false;
+            }
+            await purgeCache(candidates.shift());
+        }
+    }
+
+    if (CACHE_EXPIRATION[cacheName]) {
+        // 不透明响应读不到content-length，大小记为null
+        const length = parseInt(response.headers.get('content-length'), 10);
+        try {
+            await recordEntry(cacheName, url, Number.isNaN(length) ? null : length);
+            await enforceExpiration(cacheName);
+        } catch (err) {
+            console.warn('Service Worker: 更新缓存过期记录失败', err);
+        }
+    }
+    return true;
+}
+
+/**
+ * 从运行时缓存读取未过期的响应，并更新最近访问时间
+ * @returns {Promise<Object>} { response, expired }，没有缓存时response为undefined
+ */
+async function matchCache(cacheName, request) {
+    const cache = await caches.open(cacheName);
+    const response = await cache.match(request);
+    if (!response) return { response, expired: false };
+
+    const entry = await touchEntry(cacheName, request.url).catch(() => null);
+    return { response, expired: isEntryExpired(entry, cacheName) };
+}
+
+/**
+ * 从网络获取，在后台写入缓存
+ */
+async function fetchAndCache(event, cacheName, cacheKey = event.request) {
+    const response = await fetch(event.request);
+    if (isCacheable(response)) {
+        event.waitUntil(putInCache(cacheName, cacheKey, response.clone()));
+    }
+    return response;
+}
+
+/**
+ * 网络优先：超过networkTimeoutSeconds仍未返回时先使用缓存；请求失败时其他请求使用缓存，
+ * 页面导航返回预缓存的离线页面（不加载统计模块，只显示资料和联系方式）
+ */
+async function networkFirst(event, route) {
+    const { request } = event;
+    const network = fetchAndCache(event, route.cacheName);
+    // 网络优先时缓存只作为后备，过期的页面也比离线时没有内容好
+    const cached = () => matchCache(route.cacheName, request).then(result => result.response);
+
+    const timeout = new Promise(resolve => {
+        setTimeout(() => resolve(cached()), route.networkTimeoutSeconds * 1000);
+    });
+    // 超时返回缓存后，网络请求仍在后台完成并更新缓存
+    event.waitUntil(network.catch(() => null));
+
+    try {
+        const response = await Promise.race([network, timeout]);
+        if (response) return response;
+        return await network;
+    } catch (err) {
+        // 页面导航失败时不返回缓存的完整页面，否则离线时仍会初始化统计和A/B测试模块
+        if (request.mode === 'navigate') {
+            console.warn('Service Worker: 页面请求失败，返回离线页面', request.url);
+            return await caches.match(PRECACHE_KEYS.get('/offline.html')) || Response.error();
+        }
+        console.warn('Service Worker: 网络请求失败，使用缓存', request.url);
+        const response = await cached();
+        if (response) return response;
+        throw err;
+    }
+}
+
+/**
+ * 缓存后台更新：有未过期的缓存时立即返回，同时从网络更新缓存
+ */
+async function staleWhileRevalidate(event, route) {
+    const { response: cached, expired } = await matchCache(route.cacheName, event.request);
+    const network = fetchAndCache(event, route.cacheName);
+
+    if (cached && !expired) {
+        event.waitUntil(network.catch(() => null));
+        return cached;
+    }
+    return network.catch(err => {
+        if (cached) return cached;
+        throw err;
+    });
+}
+
+/**
+ * 缓存优先：未过期的缓存直接返回
+ * 不透明响应可能是缓存下来的错误页面，返回缓存的同时在后台重新获取
+ */
+async function cacheFirst(event, route) {
+    const { response: cached, expired } = await matchCache(route.cacheName, event.request);
+
+    if (cached && !expired) {
+        if (cached.type === 'opaque') {
+            event.waitUntil(fetchAndCache(event, route.cacheName).catch(() => null));
+        }
+        return cached;
+    }
+
+    try {
+        return await fetchAndCache(event, route.cacheName);
+    } catch (err) {
+        // 离线时过期的缓存也比没有好
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+/**
+ * 预缓存的资源：从预缓存返回；安装时下载失败的条目在这里从网络补齐
+ */
+async function precacheFirst(event) {
+    const precacheKey = getPrecacheKey(event.request);
+    const cached = await caches.match(precacheKey);
+    if (cached) return cached;
+    return fetchAndCache(event, PRECACHE_NAME, precacheKey);
+}
+
+/**
+ * 预缓存中的页面导航：网络可用时也返回预缓存的HTML，避免新版本的页面与旧版本预缓存中的CSS/JS一起使用；
+ * 网络返回的页面与预缓存不同说明已发布新版本，检查Service Worker更新，由页面提示用户刷新后切换到新版本。
+ * 网络超时时直接使用预缓存，请求失败时返回离线页面；预缓存中缺少该页面时按普通页面导航处理
+ */
+async function precacheNavigation(event, route) {
+    const cached = await caches.match(getPrecacheKey(event.request));
+    if (!cached) return networkFirst(event, route);
+
+    // 预缓存的响应会直接返回给页面，比较内容用的副本要在返回之前读取
+    const cachedText = cached.clone().text();
+    const network = fetch(event.request);
+    const revalidate = network.then(async response => {
+        if (response.ok && await response.text() !== await cachedText) {
+            await self.registration.update();
+        }
+    });
+    event.waitUntil(revalidate.catch(() => null));
+
+    const timeout = new Promise(resolve => {
+        setTimeout(resolve, route.networkTimeoutSeconds * 1000);
+    });
+
+    try {
+        await Promise.race([network, timeout]);
+        return cached;
+    } catch (err) {
+        console.warn('Service Worker: 页面请求失败，返回离线页面', event.request.url);
+        return await caches.match(PRECACHE_KEYS.get('/offline.html')) || Response.error();
+    }
+}
+
+const STRATEGIES = {
+    precacheNavigation,
+    networkFirst,
+    staleWhileRevalidate,
+    cacheFirst,
+    precache: precacheFirst
+};
+
+// 拦截请求 - 按路由表选择缓存策略
 self.addEventListener('fetch', event => {
     // 只处理GET请求
     if (event.request.method !== 'GET') {
         return;
     }
 
-    // 跳过非同源请求
-    if (!event.request.url.startsWith(self.location.origin)) {
+    const route = findRoute(event.request);
+    if (!route || !route.strategy) {
         return;
     }
 
-    event.respondWith(
-        caches.match(event.request)
-            .then(response => {
-                // 如果缓存中有，直接返回
-                if (response) {
-                    console.log('Service Worker: 从缓存返回', event.request.url);
-                    return response;
-                }
-
-                // 否则从网络获取
-                console.log('Service Worker: 从网络获取', event.request.url);
-                return fetch(event.request)
-                    .then(response => {
-                        // 检查响应是否有效
-                        if (!response || response.status !== 200 || response.type !== 'basic') {
-                            return response;
-                        }
-
-                        // 克隆响应，因为响应流只能使用一次
-                        const responseToCache = response.clone();
-
-                        // 将新资源添加到缓存
-                        caches.open(CACHE_NAME)
-                            .then(cache => {
-                                cache.put(event.request, responseToCache);
-                            });
-
-                        return response;
-                    })
-                    .catch(err => {
-                        console.error('Service Worker: 网络请求失败', err);
-                        
-                        // 如果是HTML页面请求失败，返回离线页面
-                        if (event.request.destination === 'document') {
-                            return caches.match('/index.html');
-                        }
-                        
-                        throw err;
-                    });
-            })
-    );
+    event.respondWith(STRATEGIES[route.strategy](event, route));
 });
 
+/**
+ * 缓存统计：每个缓存的条目数、已知大小（不透明响应大小未知）和过期配置，以及浏览器报告的存储用量
+ */
+async function getCacheStats() {
+    const cacheNames = [PRECACHE_NAME, ...Object.values(RUNTIME_CACHES)];
+    const stats = await Promise.all(cacheNames.map(async cacheName => {
+        // 只统计已存在的缓存，避免caches.open创建空缓存
+        const keys = await caches.has(cacheName) ? await (await caches.open(cacheName)).keys() : [];
+        const entries = CACHE_EXPIRATION[cacheName] ? await getEntries(cacheName) : [];
+        const sized = entries.filter(entry => entry.size !== null);
+
+        return {
+            name: cacheName,
+            entries: keys.length,
+            bytes: sized.reduce((sum, entry) => sum + entry.size, 0),
+            unknownSize: CACHE_EXPIRATION[cacheName] ? keys.length - sized.length : keys.length,
+            ...CACHE_EXPIRATION[cacheName]
+        };
+    }));
+
+    const estimate = self.navigator.storage && self.navigator.storage.estimate
+        ? await self.navigator.storage.estimate()
+        : {};
+
+    return { caches: stats, usage: estimate.usage ?? null, quota: estimate.quota ?? null };
+}
+
+/**
+ * 通过页面传入的MessageChannel端口回复消息，没有传入端口（普通postMessage）时不回复
+ */
+function replyToMessage(event, data) {
+    if (event.ports[0]) {
+        event.ports[0].postMessage(data);
+    }
+}
+
 // 消息处理 - 支持手动更新缓存
 self.addEventListener('message', event => {
+    // 用户确认更新后由页面发送，激活等待中的新版本
     if (event.data && event.data.type === 'SKIP_WAITING') {
         self.skipWaiting();
     }
     
     if (event.data && event.data.type === 'UPDATE_CACHE') {
         event.waitUntil(
-            caches.open(CACHE_NAME)
-                .then(cache => {
-                    return cache.addAll(CACHE_URLS);
-                })
-                .then(() => {
-                    event.ports[0].postMessage({ success: true });
+            precache()
+                .then(report => {
+                    replyToMessage(event, { success: report.failed.length === 0, ...report });
                 })
                 .catch(err => {
                     console.error('Service Worker: 更新缓存失败', err);
-                    event.ports[0].postMessage({ success: false, error: err.message });
+                    replyToMessage(event, { success: false, error: err.message });
                 })
         );
     }
+
+    // 查询各缓存的条目数和大小
+    if (event.data && event.data.type === 'GET_CACHE_STATS') {
+        event.waitUntil(
+            getCacheStats()
+                .then(stats => {
+                    replyToMessage(event, { success: true, ...stats });
+                })
+                .catch(err => {
+                    replyToMessage(event, { success: false, error: err.message });
+                })
+        );
+    }
+
+    // 查询预缓存中缺失的条目
+    if (event.data && event.data.type === 'GET_PRECACHE_STATUS') {
+        event.waitUntil(
+            getMissingPrecacheEntries().then(missing => {
+                replyToMessage(event, { total: PRECACHE_MANIFEST.length, missing });
+            })
+        );
+    }
 });
 
 // 后台同步支持
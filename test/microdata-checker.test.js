@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const MicrodataChecker = require('../assets/js/microdata-checker');
+
+const load = html => new JSDOM(html, { url: 'https://caojiebing.github.io/' }).window.document;
+const errors = result => result.issues.filter(issue => issue.severity === 'error');
+
+test('fix() 修正的类型重新检查时没有问题', () => {
+    const doc = load(`
+        <div itemscope itemtype="https://schema.org/Website">
+            <span itemprop="name">曹洁冰个人网站</span>
+        </div>`);
+    const checker = new MicrodataChecker({ mode: 'report' });
+
+    assert.deepStrictEqual(errors(checker.check(doc)).map(issue => issue.type), ['unknown_type']);
+
+    const applied = checker.fix(doc);
+    assert.strictEqual(applied.length, 1);
+    assert.strictEqual(doc.querySelector('[itemscope]').getAttribute('itemtype'), 'https://schema.org/WebSite');
+    assert.deepStrictEqual(checker.check(doc).issues, []);
+});
+
+test('内置词表之外的schema.org类型按warning报告', () => {
+    const doc = load(`
+        <article itemscope itemtype="https://schema.org/Article">
+            <h2 itemprop="headline">标题</h2>
+        </article>
+        <div itemscope itemtype="https://schema.org/MusicGroup">
+            <span itemprop="name">乐队</span>
+        </div>`);
+    const { issues } = new MicrodataChecker({ mode: 'report' }).check(doc);
+
+    assert.deepStrictEqual(issues.map(issue => [issue.type, issue.severity]), [['unlisted_type', 'warning']]);
+    assert.match(issues[0].message, /不在内置词表中/);
+});
+
+test('站点页面修复后没有error级问题', () => {
+    const doc = load(fs.readFileSync(path.join(__dirname, '../index.html'), 'utf8'));
+    const checker = new MicrodataChecker({ mode: 'report' });
+
+    checker.fix(doc);
+    assert.deepStrictEqual(errors(checker.check(doc)), []);
+});
@@ -0,0 +1,544 @@
+/**
+ * 本地分析数据收集器
+ * 接收前端通过sendBeacon发送的分析事件和Core Web Vitals数据，
+ * 以追加写入的NDJSON文件保存，并提供查询接口
+ *
+ * 用法: node tools/analytics-collector.js [--port 8080] [--data ./analytics-data] [--root .]
+ * 同时提供站点静态文件服务，使beacon请求与页面同源
+ * A/B测试框架的collectorUrl设为 /api/analytics/events 后，实验结果和护栏指标按这里汇总的所有访客事件计算
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class AnalyticsCollector {
+    constructor(options = {}) {
+        this.config = {
+            port: options.port !== undefined ? options.port : 8080,
+            dataDir: options.dataDir || path.resolve(process.cwd(), 'analytics-data'),
+            root: options.root || null, // 静态文件根目录，为空时不提供静态文件
+            maxBodySize: 1024 * 1024, // 1MB
+            maxBatchSize: 1000
+        };
+
+        this.files = {
+            events: path.join(this.config.dataDir, 'events.ndjson'),
+            vitals: path.join(this.config.dataDir, 'vitals.ndjson')
+        };
+
+        this.records = {
+            events: [],
+            vitals: []
+        };
+
+        // 单条事件和批量数据会重复上报同一事件，用内容哈希去重
+        this.seen = new Set();
+        this.server = null;
+    }
+
+    /**
+     * 加载已有数据并启动服务
+     */
+    start() {
+        this.load();
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error('请求处理失败:', error);
+                this.sendJson(res, 500, { error: 'internal_error' });
+            });
+        });
+
+        return new Promise(resolve => {
+            this.server.listen(this.config.port, () => {
+                console.log(`分析收集器已启动: http://localhost:${this.server.address().port}`);
+                console.log(`数据目录: ${this.config.dataDir}`);
+                resolve(this.server);
+            });
+        });
+    }
+
+    /**
+     * 停止服务
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * 从NDJSON文件加载历史数据
+     */
+    load() {
+        fs.mkdirSync(this.config.dataDir, { recursive: true });
+
+        Object.entries(this.files).forEach(([store, file]) => {
+            if (!fs.existsSync(file)) return;
+
+            fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    const record = JSON.parse(line);
+                    this.records[store].push(record);
+                    this.seen.add(record.id);
+                } catch (error) {
+                    console.warn(`跳过损坏的记录 ${file}:${index + 1}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * 追加保存记录，重复记录将被忽略
+     * @returns {boolean} 是否为新记录
+     */
+    append(store, kind, payload) {
+        const id = this.hashPayload(payload);
+        if (this.seen.has(id)) return false;
+
+        const record = {
+            id,
+            kind,
+            receivedAt: new Date().toISOString(),
+            payload
+        };
+
+        fs.appendFileSync(this.files[store], JSON.stringify(record) + '\n');
+        this.records[store].push(record);
+        this.seen.add(id);
+        return true;
+    }
+
+    /**
+     * 计算载荷的内容哈希
+     */
+    hashPayload(payload) {
+        return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex');
+    }
+
+    /**
+     * 请求路由
+     */
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const route = `${req.method} ${url.pathname}`;
+
+        switch (route) {
+            case 'POST /api/analytics':
+                return this.handleEvent(req, res);
+            case 'POST /api/analytics/batch':
+                return this.handleBatch(req, res);
+            case 'POST /api/vitals':
+                return this.handleVitals(req, res);
+            case 'GET /api/analytics/events':
+                return this.sendJson(res, 200, this.queryEvents(url.searchParams));
+            case 'GET /api/analytics/summary':
+                return this.sendJson(res, 200, this.summarizeEvents());
+            case 'GET /api/vitals':
+                return this.sendJson(res, 200, this.queryVitals(url.searchParams));
+            case 'GET /api/vitals/summary':
+                return this.sendJson(res, 200, this.summarizeVitals());
+        }
+
+        if (url.pathname.startsWith('/api/')) {
+            return this.sendJson(res, 404, { error: 'not_found' });
+        }
+
+        if (req.method === 'GET' && this.config.root) {
+            return this.serveStatic(url.pathname, res);
+        }
+
+        return this.sendJson(res, 404, { error: 'not_found' });
+    }
+
+    /**
+     * 接收单条分析事件（ABTestingFramework.sendAnalyticsEvent）
+     */
+    async handleEvent(req, res) {
+        const payload = await this.readJson(req, res);
+        if (payload === undefined) return;
+
+        const errors = AnalyticsCollector.validateEvent(payload);
+        if (errors.length > 0) {
+            return this.sendJson(res, 400, { error: 'invalid_payload', details: errors });
+        }
+
+        this.append('events', AnalyticsCollector.classifyEvent(payload), payload);
+        res.writeHead(204);
+        res.end();
+    }
+
+    /**
+     * 接收批量分析数据（ABTestingFramework.sendBatchAnalytics）
+     */
+    async handleBatch(req, res) {
+        const payload = await this.readJson(req, res);
+        if (payload === undefined) return;
+
+        const errors = AnalyticsCollector.validateBatch(payload, this.config.maxBatchSize);
+        if (errors.length > 0) {
+            return this.sendJson(res, 400, { error: 'invalid_payload', details: errors });
+        }
+
+        let stored = 0;
+        payload.events.forEach(event => {
+            if (this.append('events', 'event', event)) stored++;
+        });
+        payload.conversions.forEach(conversion => {
+            if (this.append('events', 'conversion', conversion)) stored++;
+        });
+
+        this.sendJson(res, 200, { received: payload.events.length + payload.conversions.length, stored });
+    }
+
+    /**
+     * 接收Core Web Vitals报告（CoreWebVitalsMonitor.sendToAnalytics）
+     */
+    async handleVitals(req, res) {
+        const payload = await this.readJson(req, res);
+        if (payload === undefined) return;
+
+        const errors = AnalyticsCollector.validateVitals(payload);
+        if (errors.length > 0) {
+            return this.sendJson(res, 400, { error: 'invalid_payload', details: errors });
+        }
+
+        this.append('vitals', 'vitals', payload);
+        res.writeHead(204);
+        res.end();
+    }
+
+    /**
+     * 读取并解析JSON请求体（sendBeacon以text/plain发送字符串）
+     * 解析失败时直接响应错误并返回undefined
+     */
+    readJson(req, res) {
+        return new Promise(resolve => {
+            const chunks = [];
+            let size = 0;
+            let aborted = false;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.config.maxBodySize && !aborted) {
+                    aborted = true;
+                    this.sendJson(res, 413, { error: 'payload_too_large' });
+                    resolve(undefined);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                if (aborted) return;
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch (error) {
+                    this.sendJson(res, 400, { error: 'invalid_json' });
+                    resolve(undefined);
+                }
+            });
+        });
+    }
+
+    /**
+     * 校验单条事件
+     * @returns {string[]} 错误列表
+     */
+    static validateEvent(event) {
+        const errors = [];
+
+        if (!event || typeof event !== 'object' || Array.isArray(event)) {
+            return ['事件必须是对象'];
+        }
+        if (typeof event.type !== 'string' || !event.type) {
+            errors.push('type必须是非空字符串');
+        }
+        if (typeof event.userId !== 'string' || !event.userId) {
+            errors.push('userId必须是非空字符串');
+        }
+        if (typeof event.timestamp !== 'string' || isNaN(Date.parse(event.timestamp))) {
+            errors.push('timestamp必须是ISO日期字符串');
+        }
+        if (event.type === 'test_participation' && (typeof event.testId !== 'string' || typeof event.variantId !== 'string')) {
+            errors.push('test_participation事件必须包含testId和variantId');
+        }
+
+        return errors;
+    }
+
+    /**
+     * 校验批量数据
+     */
+    static validateBatch(batch, maxBatchSize = 1000) {
+        if (!batch || typeof batch !== 'object') {
+            return ['批量数据必须是对象'];
+        }
+
+        const errors = [];
+        if (typeof batch.userId !== 'string' || !batch.userId) {
+            errors.push('userId必须是非空字符串');
+        }
+        if (!Array.isArray(batch.events) || !Array.isArray(batch.conversions)) {
+            errors.push('events和conversions必须是数组');
+            return errors;
+        }
+        if (batch.events.length + batch.conversions.length > maxBatchSize) {
+            errors.push(`单批数据不能超过${maxBatchSize}条`);
+        }
+
+        [...batch.events, ...batch.conversions].forEach((item, index) => {
+            AnalyticsCollector.validateEvent(item).forEach(error => {
+                errors.push(`第${index + 1}条: ${error}`);
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * 校验Core Web Vitals报告
+     */
+    static validateVitals(report) {
+        if (!report || typeof report !== 'object') {
+            return ['报告必须是对象'];
+        }
+
+        const errors = [];
+        if (typeof report.url !== 'string') {
+            errors.push('url必须是字符串');
+        }
+        if (typeof report.timestamp !== 'number') {
+            errors.push('timestamp必须是毫秒时间戳');
+        }
+        if (!report.vitals || typeof report.vitals !== 'object') {
+            errors.push('vitals必须是对象');
+        } else {
+            ['lcp', 'fid', 'cls', 'fcp', 'ttfb'].forEach(name => {
+                const value = report.vitals[name];
+                if (value !== null && value !== undefined && (typeof value !== 'number' || value < 0)) {
+                    errors.push(`vitals.${name}必须是非负数或null`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * 区分单条上报中的普通事件和转化
+     * 转化以 { type: 'conversion', ...conversion } 发送，type会被转化类型覆盖，需按字段判断
+     */
+    static classifyEvent(event) {
+        return event.data && event.appliedTests ? 'conversion' : 'event';
+    }
+
+    /**
+     * 查询事件
+     * 支持参数: kind, type, userId, testId, since, until, limit
+     */
+    queryEvents(params) {
+        const since = params.get('since') ? Date.parse(params.get('since')) : null;
+        const until = params.get('until') ? Date.parse(params.get('until')) : null;
+        const limit = parseInt(params.get('limit') || '1000', 10);
+
+        const results = this.records.events.filter(record => {
+            const event = record.payload;
+            const time = Date.parse(event.timestamp);
+
+            if (params.get('kind') && record.kind !== params.get('kind')) return false;
+            if (params.get('type') && event.type !== params.get('type')) return false;
+            if (params.get('userId') && event.userId !== params.get('userId')) return false;
+            if (params.get('testId') && event.testId !== params.get('testId')) return false;
+            if (since !== null && time < since) return false;
+            if (until !== null && time > until) return false;
+            return true;
+        });
+
+        return {
+            total: results.length,
+            records: results.slice(-limit)
+        };
+    }
+
+    /**
+     * 汇总事件：按类型计数、独立用户数、各测试各变体的参与者和转化用户
+     */
+    summarizeEvents() {
+        const byType = {};
+        const users = new Set();
+        const assignments = {};
+        const converters = new Set();
+
+        this.records.events.forEach(record => {
+            const event = record.payload;
+            const key = record.kind === 'conversion' ? `conversion:${event.type}` : event.type;
+            byType[key] = (byType[key] || 0) + 1;
+            users.add(event.userId);
+
+            if (record.kind === 'conversion') {
+                converters.add(event.userId);
+            }
+            if (event.type === 'test_participation') {
+                assignments[event.testId] = assignments[event.testId] || {};
+                assignments[event.testId][event.userId] = event.variantId;
+            }
+        });
+
+        const tests = {};
+        Object.entries(assignments).forEach(([testId, userVariants]) => {
+            tests[testId] = {};
+            Object.entries(userVariants).forEach(([userId, variantId]) => {
+                const variant = tests[testId][variantId] || (tests[testId][variantId] = { participants: 0, converters: 0 });
+                variant.participants++;
+                if (converters.has(userId)) variant.converters++;
+            });
+        });
+
+        return {
+            totalEvents: this.records.events.length,
+            uniqueUsers: users.size,
+            byType,
+            tests
+        };
+    }
+
+    /**
+     * 查询Core Web Vitals报告
+     * 支持参数: url, since, limit
+     */
+    queryVitals(params) {
+        const since = params.get('since') ? Date.parse(params.get('since')) : null;
+        const limit = parseInt(params.get('limit') || '1000', 10);
+
+        const results = this.records.vitals.filter(record => {
+            if (params.get('url') && record.payload.url !== params.get('url')) return false;
+            if (since !== null && record.payload.timestamp < since) return false;
+            return true;
+        });
+
+        return {
+            total: results.length,
+            records: results.slice(-limit)
+        };
+    }
+
+    /**
+     * 汇总Core Web Vitals：各指标的p50/p75/p95
+     */
+    summarizeVitals() {
+        const summary = {};
+
+        ['lcp', 'fid', 'cls', 'fcp', 'ttfb'].forEach(name => {
+            const values = this.records.vitals
+                .map(record => record.payload.vitals[name])
+                .filter(value => typeof value === 'number')
+                .sort((a, b) => a - b);
+
+            summary[name] = {
+                count: values.length,
+                p50: AnalyticsCollector.percentile(values, 0.5),
+                p75: AnalyticsCollector.percentile(values, 0.75),
+                p95: AnalyticsCollector.percentile(values, 0.95)
+            };
+        });
+
+        return {
+            totalReports: this.records.vitals.length,
+            vitals: summary
+        };
+    }
+
+    /**
+     * 计算已排序数组的百分位数
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return null;
+        const index = Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1);
+        return sorted[Math.max(0, index)];
+    }
+
+    /**
+     * 提供静态文件
+     */
+    serveStatic(pathname, res) {
+        const types = {
+            '.html': 'text/html; charset=utf-8',
+            '.css': 'text/css; charset=utf-8',
+            '.js': 'application/javascript; charset=utf-8',
+            '.json': 'application/json; charset=utf-8',
+            '.xml': 'application/xml; charset=utf-8',
+            '.txt': 'text/plain; charset=utf-8',
+            '.png': 'image/png',
+            '.jpg': 'image/jpeg',
+            '.svg': 'image/svg+xml'
+        };
+
+        const root = path.resolve(this.config.root);
+        let filePath = path.resolve(root, '.' + decodeURIComponent(pathname));
+        if (!filePath.startsWith(root)) {
+            return this.sendJson(res, 403, { error: 'forbidden' });
+        }
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+        if (!fs.existsSync(filePath)) {
+            return this.sendJson(res, 404, { error: 'not_found' });
+        }
+
+        res.writeHead(200, { 'Content-Type': types[path.extname(filePath)] || 'application/octet-stream' });
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    /**
+     * 发送JSON响应
+     */
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port':
+                options.port = parseInt(argv[++i], 10);
+                break;
+            case '--data':
+                options.dataDir = path.resolve(argv[++i]);
+                break;
+            case '--root':
+                options.root = path.resolve(argv[++i]);
+                break;
+            case '--no-static':
+                options.noStatic = true;
+                break;
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.root && !options.noStatic) {
+        options.root = path.resolve(__dirname, '..');
+    }
+
+    const collector = new AnalyticsCollector(options);
+    collector.start();
+
+    process.on('SIGINT', () => {
+        collector.stop().then(() => process.exit(0));
+    });
+}
+
+module.exports = AnalyticsCollector;
@@ -0,0 +1,318 @@
+/**
+ * 构建期静态SEO处理
+ * 在jsdom中加载页面，运行与浏览器端相同的优化器，
+ * 把Open Graph、Twitter Card、meta标签和schema.org结构化数据直接写入HTML，
+ * 使不执行JavaScript的爬虫和社交平台抓取器也能读取
+ *
+ * 手写页面放在 src/index.html，处理结果写入站点根目录的index.html并提交；修改页面应改 src/index.html 后重新构建，
+ * --check 用于确认提交的页面已是最新。未被优化器修改的节点原样保留源文件中的写法，便于对比构建前后的差异。
+ * 分享标题、描述等文案以 assets/data/site-profile.json 为准，修改文案应改资料文件后重新构建，不要手改页面中的标签
+ *
+ * 用法: node tools/build-static-seo.js [--input src/index.html] [--out index.html] [--url https://caojiebing.github.io/] [--check]
+ * 依赖: jsdom（package.json的devDependencies，先运行 npm install）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { withDomGlobals, requireSiteModule, loadSiteProfile, createAnalysisServices } = require('./dom-environment');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * 静态处理步骤：只包含修改文档内容、不依赖用户交互的优化方法
+ * 这些方法都会先检查目标标签是否存在，运行时再次执行不会产生重复标签
+ */
+const STATIC_STEPS = [
+    {
+        name: 'contentOptimizer',
+        script: 'content-semantic-optimizer.js',
+        run: (ContentSemanticOptimizer, profile) => new ContentSemanticOptimizer(profile, createAnalysisServices(profile)).autoOptimize()
+    },
+    {
+        name: 'localSEO',
+        script: 'local-seo-optimizer.js',
+        run: (LocalSEOOptimizer, profile) => new LocalSEOOptimizer(profile).addStructuredData()
+    },
+    {
+        name: 'socialOptimizer',
+        script: 'social-media-optimizer.js',
+        run: (SocialMediaOptimizer, profile) => {
+            const optimizer = new SocialMediaOptimizer(profile);
+            optimizer.enhanceOpenGraphTags();
+            optimizer.enhanceTwitterCardTags();
+            optimizer.addSocialMediaMetaTags();
+            optimizer.addSocialMediaStructuredData();
+        }
+    },
+    // 修复页面和优化器添加的微数据（无效类型、放错位置的itemprop），修复结果直接写入HTML
+    {
+        name: 'microdata',
+        script: 'microdata-checker.js',
+        run: MicrodataChecker => new MicrodataChecker().fix()
+    },
+    // 与运行时一致，SEO分析器在其他优化器之后执行，只补充其他优化器未覆盖的部分
+    {
+        name: 'seoAnalyzer',
+        script: 'seo-analyzer.js',
+        run: (SEOAnalyzer, profile) => new SEOAnalyzer({ profile, ...createAnalysisServices(profile) }).implementOptimizations()
+    },
+    // 把手写和各优化器生成的JSON-LD合并为单个 @graph，同一实体只输出一次
+    {
+        name: 'structuredData',
+        script: 'structured-data-validator.js',
+        run: StructuredDataValidator => new StructuredDataValidator().apply()
+    }
+];
+
+// 无结束标签的元素
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// 内容不转义的元素
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'noscript', 'template']);
+
+class StaticSEOBuilder {
+    constructor(options = {}) {
+        this.config = {
+            input: options.input || path.join(ROOT, 'src', 'index.html'),
+            output: options.output || path.join(ROOT, 'index.html'),
+            url: options.url || 'https://caojiebing.github.io/',
+            steps: options.steps || STATIC_STEPS
+        };
+    }
+
+    /**
+     * 处理页面并返回生成的HTML
+     */
+    build() {
+        const source = fs.readFileSync(this.config.input, 'utf8');
+        const dom = new JSDOM(source, { url: this.config.url, includeNodeLocations: true });
+        const { document } = dom.window;
+        const existingHeadNodes = new Set(document.head.children);
+        const snapshot = this.takeSnapshot(document);
+
+        const profile = loadSiteProfile();
+
+        withDomGlobals(dom.window, () => {
+            this.config.steps.forEach(step => {
+                step.run(requireSiteModule(step.script), profile);
+                console.log(`已执行静态优化: ${step.name}`);
+            });
+        });
+
+        this.indentNewHeadNodes(document, existingHeadNodes);
+
+        // <html>之外的doctype、注释和换行直接取自源文件
+        const root = dom.nodeLocation(document.documentElement);
+        const html = source.slice(0, root.startOffset)
+            + this.render(document.documentElement, dom, source, snapshot)
+            + source.slice(root.endOffset);
+
+        return { source, html };
+    }
+
+    /**
+     * 记录解析后每个节点的属性、子节点和文本，构建后据此判断节点是否被修改
+     * @returns {Map} 节点 -> { attributes, children, data }
+     */
+    takeSnapshot(document) {
+        const snapshot = new Map();
+        const walk = node => {
+            snapshot.set(node, {
+                attributes: node.nodeType === 1 ? this.getAttributeSignature(node) : null,
+                children: Array.from(node.childNodes),
+                data: node.nodeType === 1 ? null : node.data
+            });
+            node.childNodes.forEach(walk);
+        };
+        walk(document.documentElement);
+        return snapshot;
+    }
+
+    getAttributeSignature(element) {
+        return Array.from(element.attributes).map(attr => `${attr.name}=${attr.value}`).join('\u0000');
+    }
+
+    /**
+     * 节点及其所有后代是否与解析时相同
+     */
+    isUnchanged(node, snapshot) {
+        const before = snapshot.get(node);
+        if (!before) return false;
+        if (node.nodeType !== 1) return before.data === node.data;
+
+        const children = Array.from(node.childNodes);
+        return before.attributes === this.getAttributeSignature(node)
+            && before.children.length === children.length
+            && children.every((child, index) => child === before.children[index] && this.isUnchanged(child, snapshot));
+    }
+
+    /**
+     * 输出节点：未修改的节点取源文件原文，修改过的元素只重新生成变化的部分，新节点使用jsdom序列化
+     */
+    render(node, dom, source, snapshot) {
+        const location = snapshot.has(node) ? dom.nodeLocation(node) : null;
+
+        if (location && this.isUnchanged(node, snapshot)) {
+            return source.slice(location.startOffset, location.endOffset);
+        }
+
+        if (node.nodeType === 3) {
+            return RAW_TEXT_ELEMENTS.has(node.parentNode.localName) ? node.data : this.escapeText(node.data);
+        }
+        if (node.nodeType !== 1) {
+            return node.nodeType === 8 ? `<!--${node.data}-->` : '';
+        }
+        if (!location) {
+            return node.outerHTML;
+        }
+
+        const attributesUnchanged = snapshot.get(node).attributes === this.getAttributeSignature(node);
+        const startTag = attributesUnchanged && location.startTag
+            ? source.slice(location.startTag.startOffset, location.startTag.endOffset)
+            : this.renderStartTag(node);
+
+        if (VOID_ELEMENTS.has(node.localName)) return startTag;
+
+        const endTag = location.endTag
+            ? source.slice(location.endTag.startOffset, location.endTag.endOffset)
+            : `</${node.localName}>`;
+
+        return startTag + this.renderChildren(node, dom, source, snapshot) + endTag;
+    }
+
+    /**
+     * 输出子节点：补回解析器丢弃的空白，删除节点后相邻的两段空白只保留后一段
+     */
+    renderChildren(element, dom, source, snapshot) {
+        const location = dom.nodeLocation(element);
+        // 解析器会把结束标签之后的换行移入元素，这部分不属于元素内容
+        const children = Array.from(element.childNodes).filter(child => {
+            const childLocation = snapshot.has(child) ? dom.nodeLocation(child) : null;
+            return !(childLocation && location.endTag && childLocation.startOffset >= location.endTag.startOffset);
+        });
+
+        let output = '';
+        let offset = location.startTag ? location.startTag.endOffset : location.startOffset;
+
+        children.forEach((child, index) => {
+            const childLocation = snapshot.has(child) ? dom.nodeLocation(child) : null;
+            let end = null;
+            if (childLocation) {
+                const gap = source.slice(offset, childLocation.startOffset);
+                if (/^\s+$/.test(gap)) output += gap;
+                // 结束标签前后的空白会被合并为同一个文本节点，只取结束标签之前的部分
+                end = location.endTag ? Math.min(childLocation.endOffset, location.endTag.startOffset) : childLocation.endOffset;
+                offset = end;
+            }
+
+            const next = children[index + 1];
+            if (this.isWhitespace(child) && next && this.isWhitespace(next)) return;
+
+            output += child.nodeType === 3 && end !== null && this.isUnchanged(child, snapshot)
+                ? source.slice(childLocation.startOffset, end)
+                : this.render(child, dom, source, snapshot);
+        });
+
+        if (location.endTag) {
+            const gap = source.slice(offset, location.endTag.startOffset);
+            if (/^\s+$/.test(gap)) output += gap;
+        }
+
+        return output;
+    }
+
+    /**
+     * 生成属性被修改的元素的开始标签，空值属性与手写页面一样只写属性名
+     */
+    renderStartTag(element) {
+        const attributes = Array.from(element.attributes).map(attr => (
+            attr.value === '' ? ` ${attr.name}` : ` ${attr.name}="${attr.value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`
+        ));
+        return `<${element.localName}${attributes.join('')}>`;
+    }
+
+    isWhitespace(node) {
+        return node.nodeType === 3 && /^\s*$/.test(node.data);
+    }
+
+    escapeText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+    }
+
+    /**
+     * 生成并写入输出文件
+     * @param {boolean} check - 只检查输出是否为最新，不写入文件
+     * @returns {boolean} 输出文件是否已是最新
+     */
+    run(check = false) {
+        const { html } = this.build();
+        const current = fs.existsSync(this.config.output)
+            ? fs.readFileSync(this.config.output, 'utf8')
+            : null;
+        const upToDate = current === html;
+
+        if (check) {
+            console.log(upToDate ? '静态SEO输出已是最新' : `静态SEO输出需要重新生成: ${this.config.output}`);
+            return upToDate;
+        }
+
+        if (!upToDate) {
+            fs.mkdirSync(path.dirname(this.config.output), { recursive: true });
+            fs.writeFileSync(this.config.output, html);
+        }
+        console.log(`已写入: ${this.config.output}`);
+        return upToDate;
+    }
+
+    /**
+     * 为新插入head的节点补充换行缩进，保持输出文件可读
+     */
+    indentNewHeadNodes(document, existingHeadNodes) {
+        Array.from(document.head.children)
+            .filter(node => !existingHeadNodes.has(node))
+            .forEach(node => {
+                document.head.insertBefore(document.createTextNode('\n    '), node);
+            });
+        const last = document.head.lastChild;
+        if (last && last.nodeType !== 3) {
+            document.head.appendChild(document.createTextNode('\n'));
+        }
+    }
+}
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--input':
+                options.input = path.resolve(argv[++i]);
+                break;
+            case '--out':
+                options.output = path.resolve(argv[++i]);
+                break;
+            case '--url':
+                options.url = argv[++i];
+                break;
+            case '--check':
+                options.check = true;
+                break;
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const builder = new StaticSEOBuilder(options);
+    const upToDate = builder.run(options.check);
+
+    if (options.check && !upToDate) {
+        process.exit(1);
+    }
+}
+
+module.exports = StaticSEOBuilder;
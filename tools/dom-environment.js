@@ -0,0 +1,97 @@
+/**
+ * Node环境下运行浏览器端模块的辅助函数
+ * assets/js中的模块直接访问全局的window/document，
+ * 命令行工具在jsdom中加载页面后，运行期间临时把这些对象挂载到global上
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPTS_DIR = path.resolve(__dirname, '../assets/js');
+const DOM_GLOBALS = ['window', 'document', 'navigator', 'location', 'localStorage', 'DOMParser'];
+
+/**
+ * 挂载jsdom的全局对象
+ * @param {Window} window - jsdom窗口对象
+ * @returns {Function} 恢复原有全局对象的函数
+ */
+function installDomGlobals(window) {
+    const previous = DOM_GLOBALS.map(name => Object.getOwnPropertyDescriptor(global, name));
+
+    DOM_GLOBALS.forEach(name => {
+        Object.defineProperty(global, name, {
+            value: window[name],
+            configurable: true,
+            writable: true
+        });
+    });
+
+    return () => {
+        DOM_GLOBALS.forEach((name, index) => {
+            if (previous[index]) {
+                Object.defineProperty(global, name, previous[index]);
+            } else {
+                delete global[name];
+            }
+        });
+    };
+}
+
+/**
+ * 在挂载的DOM全局对象下执行回调
+ * 回调返回Promise时，在Promise完成后才恢复全局对象，调用方需保证同一时间只运行一个回调
+ */
+function withDomGlobals(window, callback) {
+    const restore = installDomGlobals(window);
+    let result;
+    try {
+        result = callback();
+    } catch (error) {
+        restore();
+        throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+        return result.finally(restore);
+    }
+    restore();
+    return result;
+}
+
+/**
+ * 加载assets/js中的浏览器端模块
+ */
+function requireSiteModule(script) {
+    return require(path.join(SCRIPTS_DIR, script));
+}
+
+/**
+ * 从站点目录读取个人资料，返回浏览器端使用的SiteProfile实例
+ */
+function loadSiteProfile(root = path.resolve(__dirname, '..')) {
+    const SiteProfile = requireSiteModule('site-profile.js');
+    const file = path.join(root, 'assets/data/site-profile.json');
+    return new SiteProfile(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * 创建内容优化器、SEO分析器共用的页面规则分析和文本分析实例，与页面中注册表创建的实例一致
+ * @param {SiteProfile} profile - 站点资料，提供分词用的自定义词
+ * @param {Object} [rules] - 按规则id覆盖的页面分析规则配置
+ */
+function createAnalysisServices(profile, rules = {}) {
+    const PageAnalysisCore = requireSiteModule('page-analysis-core.js');
+    const TextAnalyzer = requireSiteModule('text-analyzer.js');
+    return {
+        pageAnalysis: new PageAnalysisCore({ rules }),
+        textAnalyzer: new TextAnalyzer({ words: profile.getAnalyzerWords() })
+    };
+}
+
+module.exports = {
+    installDomGlobals,
+    withDomGlobals,
+    requireSiteModule,
+    loadSiteProfile,
+    createAnalysisServices
+};
@@ -0,0 +1,193 @@
+/**
+ * Service Worker预缓存清单生成器
+ * 扫描站点中需要离线使用的页面和静态资源，按文件内容计算哈希作为revision，
+ * 把清单写入sw.js中 precache-manifest:start/end 标记之间。
+ * 文件内容变化时只有对应条目的revision改变，更新Service Worker时只重新下载这些文件
+ *
+ * index.html由 tools/build-static-seo.js 从 src/index.html 生成，应在其之后运行
+ *
+ * 用法: node tools/generate-precache-manifest.js [--root .] [--sw sw.js] [--check]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * 预缓存的文件和目录（相对站点根目录），目录中的文件递归加入
+ * required的条目是离线打开页面必需的资源，安装时下载失败会重试；其余条目下载失败只记录不影响安装
+ * 同一文件匹配多条来源时以第一条为准
+ */
+const PRECACHE_SOURCES = [
+    { path: 'index.html', required: true },
+    { path: 'offline.html', required: true },
+    { path: 'manifest.json', required: true },
+    { path: 'assets/css/critical.css', required: true },
+    { path: 'assets/css/styles.css', required: true },
+    { path: 'assets/js/script.js', required: true },
+    { path: 'assets/css' },
+    { path: 'assets/js' },
+    { path: 'assets/images' },
+    { path: 'assets/data' }
+];
+
+/**
+ * 页面的目录URL与文件使用同一revision，如 / 对应 index.html
+ */
+const URL_ALIASES = {
+    'index.html': ['/']
+};
+
+const MARKER_START = '// precache-manifest:start';
+const MARKER_END = '// precache-manifest:end';
+
+class PrecacheManifestGenerator {
+    constructor(options = {}) {
+        this.root = options.root || ROOT;
+        this.swPath = options.sw || path.join(this.root, 'sw.js');
+    }
+
+    /**
+     * 生成清单：[{ url, revision, required }]，按URL排序保证输出稳定
+     */
+    createManifest() {
+        const entries = [];
+
+        this.collectFiles().forEach((required, relativePath) => {
+            const revision = this.getRevision(path.join(this.root, relativePath));
+            const urls = [...(URL_ALIASES[relativePath] || []), `/${relativePath}`];
+            urls.forEach(url => entries.push({ url, revision, required }));
+        });
+
+        return entries.sort((a, b) => a.url.localeCompare(b.url));
+    }
+
+    /**
+     * 收集PRECACHE_SOURCES中存在的文件
+     * @returns {Map<string, boolean>} 以/分隔的相对路径 -> 是否必需
+     */
+    collectFiles() {
+        const files = new Map();
+
+        PRECACHE_SOURCES.forEach(source => {
+            const fullPath = path.join(this.root, source.path);
+            if (!fs.existsSync(fullPath)) {
+                const message = `预缓存来源不存在: ${source.path}`;
+                if (source.required) throw new Error(message);
+                console.warn(`${message}，已跳过`);
+                return;
+            }
+
+            const found = fs.statSync(fullPath).isDirectory() ? this.findFiles(fullPath) : [fullPath];
+            found.map(file => path.relative(this.root, file).split(path.sep).join('/')).forEach(file => {
+                if (!files.has(file)) files.set(file, Boolean(source.required));
+            });
+        });
+
+        return files;
+    }
+
+    findFiles(dir) {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => !entry.name.startsWith('.'))
+            .flatMap(entry => {
+                const fullPath = path.join(dir, entry.name);
+                return entry.isDirectory() ? this.findFiles(fullPath) : [fullPath];
+            });
+    }
+
+    /**
+     * 文件内容的哈希（取前10位）
+     */
+    getRevision(file) {
+        return crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex').slice(0, 10);
+    }
+
+    /**
+     * 生成写入sw.js的清单代码
+     */
+    renderManifest(manifest) {
+        const lines = manifest.map(entry => {
+            const required = entry.required ? ', required: true' : '';
+            return `    { url: '${entry.url}', revision: '${entry.revision}'${required} }`;
+        });
+        return [
+            MARKER_START,
+            'const PRECACHE_MANIFEST = [',
+            lines.join(',\n'),
+            '];',
+            MARKER_END
+        ].join('\n');
+    }
+
+    /**
+     * 把清单替换到Service Worker源码的标记之间
+     */
+    inject(source, manifest) {
+        const start = source.indexOf(MARKER_START);
+        const end = source.indexOf(MARKER_END);
+        if (start === -1 || end === -1 || end < start) {
+            throw new Error(`${this.swPath} 中缺少 ${MARKER_START} / ${MARKER_END} 标记`);
+        }
+
+        return source.slice(0, start) + this.renderManifest(manifest) + source.slice(end + MARKER_END.length);
+    }
+
+    /**
+     * 写入sw.js
+     * @param {boolean} check - 只检查清单是否为最新，不写入
+     * @returns {Object} { upToDate: sw.js是否已是最新, count: 清单条目数 }
+     */
+    run(check = false) {
+        const source = fs.readFileSync(this.swPath, 'utf8');
+        const manifest = this.createManifest();
+        const output = this.inject(source, manifest);
+        const upToDate = output === source;
+
+        if (!check && !upToDate) {
+            fs.writeFileSync(this.swPath, output);
+        }
+        return { upToDate, count: manifest.length };
+    }
+}
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--root':
+                options.root = path.resolve(argv[++i]);
+                break;
+            case '--sw':
+                options.sw = path.resolve(argv[++i]);
+                break;
+            case '--check':
+                options.check = true;
+                break;
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const generator = new PrecacheManifestGenerator(options);
+    const { upToDate, count } = generator.run(options.check);
+
+    if (options.check) {
+        if (!upToDate) {
+            console.error('sw.js中的预缓存清单需要重新生成');
+            process.exit(1);
+        }
+        console.log(`预缓存清单已是最新（${count}个条目）`);
+    } else {
+        console.log(upToDate ? `预缓存清单无变化（${count}个条目）` : `已更新sw.js中的预缓存清单（${count}个条目）`);
+    }
+}
+
+module.exports = PrecacheManifestGenerator;
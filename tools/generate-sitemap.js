@@ -0,0 +1,311 @@
+/**
+ * sitemap.xml和robots.txt生成器
+ * 根据站点目录中实际存在的页面生成sitemap（lastmod取git提交时间，未提交的文件取修改时间），
+ * 支持图片和hreflang扩展；robots.txt由 assets/data/seo-config.json 生成，
+ * SEOAnalyzer读取同一份配置检查线上的robots.txt，二者不会出现不一致
+ *
+ * 用法: node tools/generate-sitemap.js [--root .] [--config assets/data/seo-config.json] [--check]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const SEOAnalyzer = require('../assets/js/seo-analyzer');
+
+const ROOT = path.resolve(__dirname, '..');
+const IGNORED_DIRS = new Set(['node_modules', 'analytics-data', 'tools', 'src']);
+
+class SitemapGenerator {
+    constructor(options = {}) {
+        this.root = options.root || ROOT;
+        this.configPath = options.config || path.join(this.root, 'assets/data/seo-config.json');
+        this.config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.siteUrl = this.config.siteUrl.replace(/\/$/, '');
+    }
+
+    /**
+     * 生成sitemap.xml和robots.txt的内容
+     */
+    generate() {
+        return {
+            'sitemap.xml': this.generateSitemap(),
+            'robots.txt': this.generateRobotsTxt()
+        };
+    }
+
+    /**
+     * 写入生成的文件
+     * @param {boolean} check - 只检查文件是否为最新，不写入
+     * @returns {string[]} 内容有变化的文件
+     */
+    run(check = false) {
+        const changed = [];
+        Object.entries(this.generate()).forEach(([name, content]) => {
+            const file = path.join(this.root, name);
+            const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+            if (current === content) return;
+
+            changed.push(name);
+            if (!check) {
+                fs.writeFileSync(file, content);
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * 生成sitemap.xml
+     */
+    generateSitemap() {
+        const entries = this.collectPages().map(page => this.createEntry(page));
+        const hasImages = entries.some(entry => entry.images.length > 0);
+        const hasAlternates = entries.some(entry => entry.alternates.length > 0);
+
+        const namespaces = ['xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"'];
+        if (hasImages) namespaces.push('xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"');
+        if (hasAlternates) namespaces.push('xmlns:xhtml="http://www.w3.org/1999/xhtml"');
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!-- 由 tools/generate-sitemap.js 生成，请勿手动修改 -->',
+            `<urlset ${namespaces.join('\n        ')}>`
+        ];
+
+        entries.forEach(entry => {
+            lines.push('    <url>');
+            lines.push(`        <loc>${escapeXml(entry.loc)}</loc>`);
+            lines.push(`        <lastmod>${entry.lastmod}</lastmod>`);
+            lines.push(`        <changefreq>${entry.changefreq}</changefreq>`);
+            lines.push(`        <priority>${entry.priority.toFixed(1)}</priority>`);
+            entry.alternates.forEach(alternate => {
+                lines.push(`        <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.hreflang)}" href="${escapeXml(alternate.href)}"/>`);
+            });
+            entry.images.forEach(image => {
+                lines.push('        <image:image>');
+                lines.push(`            <image:loc>${escapeXml(image)}</image:loc>`);
+                lines.push('        </image:image>');
+            });
+            lines.push('    </url>');
+        });
+
+        lines.push('</urlset>', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * 生成robots.txt
+     */
+    generateRobotsTxt() {
+        const lines = [
+            `# robots.txt for ${new URL(this.siteUrl).hostname}`,
+            '# 由 tools/generate-sitemap.js 根据 assets/data/seo-config.json 生成，请勿手动修改',
+            ''
+        ];
+
+        this.config.robots.groups.forEach(group => {
+            group.userAgents.forEach(userAgent => {
+                lines.push(`User-agent: ${userAgent === '*' ? '*' : capitalizeAgent(userAgent)}`);
+            });
+            group.rules.forEach(rule => {
+                lines.push(`${rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${rule.path}`);
+            });
+            if (group.crawlDelay !== null && group.crawlDelay !== undefined) {
+                lines.push(`Crawl-delay: ${group.crawlDelay}`);
+            }
+            lines.push('');
+        });
+
+        this.config.robots.sitemaps.forEach(sitemap => {
+            lines.push(`Sitemap: ${sitemap}`);
+        });
+        lines.push('');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * 收集需要收录的页面：排除配置中的页面、noindex页面和被robots.txt禁止抓取的页面
+     */
+    collectPages() {
+        const allGroup = this.config.robots.groups.find(group => group.userAgents.includes('*'));
+
+        return this.findHtmlFiles(this.root)
+            .map(file => {
+                const relativePath = path.relative(this.root, file).split(path.sep).join('/');
+                return { file, urlPath: SitemapGenerator.getUrlPath(relativePath), html: fs.readFileSync(file, 'utf8') };
+            })
+            .filter(page => !SitemapGenerator.isExcludedPage(this.config.sitemap.exclude, page.urlPath, page.html))
+            .filter(page => !allGroup || SEOAnalyzer.isPathAllowed(allGroup, page.urlPath))
+            .sort((a, b) => a.urlPath.localeCompare(b.urlPath));
+    }
+
+    /**
+     * 查找站点目录中的HTML文件
+     */
+    findHtmlFiles(dir) {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => !entry.name.startsWith('.') && !IGNORED_DIRS.has(entry.name))
+            .flatMap(entry => {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) return this.findHtmlFiles(fullPath);
+                return entry.name.endsWith('.html') ? [fullPath] : [];
+            });
+    }
+
+    /**
+     * 生成单个sitemap条目
+     */
+    createEntry(page) {
+        const rule = this.config.sitemap.rules.find(item => matchPath(item.path, page.urlPath)) || {};
+        const settings = { ...this.config.sitemap.defaults, ...rule };
+        const loc = this.siteUrl + page.urlPath;
+
+        return {
+            loc,
+            lastmod: this.getLastModified(page.file),
+            changefreq: settings.changefreq,
+            priority: settings.priority,
+            images: this.extractImages(page.html, loc),
+            alternates: this.extractAlternates(page.html, page.urlPath)
+        };
+    }
+
+    /**
+     * 获取文件最后修改日期：优先使用最后一次git提交时间，文件有未提交修改或不在git中时使用修改时间
+     */
+    getLastModified(file) {
+        try {
+            const status = execFileSync('git', ['status', '--porcelain', '--', file], { cwd: this.root, encoding: 'utf8' });
+            const committed = execFileSync('git', ['log', '-1', '--format=%cI', '--', file], { cwd: this.root, encoding: 'utf8' }).trim();
+            if (committed && !status.trim()) {
+                return committed.slice(0, 10);
+            }
+        } catch (e) {
+            // 不是git仓库或未安装git时使用文件修改时间
+        }
+        return fs.statSync(file).mtime.toISOString().slice(0, 10);
+    }
+
+    /**
+     * 提取页面中的站内图片
+     */
+    extractImages(html, pageUrl) {
+        const images = new Set();
+        (html.match(/<img\b[^>]*>/gi) || []).forEach(tag => {
+            const src = getAttribute(tag, 'data-src') || getAttribute(tag, 'src');
+            if (!src || src.startsWith('data:')) return;
+
+            const url = new URL(src, pageUrl);
+            if (url.origin === new URL(this.siteUrl).origin) {
+                images.add(url.href);
+            }
+        });
+        return Array.from(images);
+    }
+
+    /**
+     * 合并页面中的hreflang链接和配置中的多语言版本
+     */
+    extractAlternates(html, urlPath) {
+        const alternates = new Map();
+        (html.match(/<link\b[^>]*>/gi) || []).forEach(tag => {
+            const hreflang = getAttribute(tag, 'hreflang');
+            if (getAttribute(tag, 'rel') === 'alternate' && hreflang) {
+                alternates.set(hreflang, getAttribute(tag, 'href'));
+            }
+        });
+        (this.config.sitemap.alternates[urlPath] || []).forEach(alternate => {
+            alternates.set(alternate.hreflang, alternate.href);
+        });
+
+        return Array.from(alternates.entries()).map(([hreflang, href]) => ({ hreflang, href }));
+    }
+
+    /**
+     * 页面相对站点根目录的路径对应的URL路径，index.html对应目录URL
+     */
+    static getUrlPath(relativePath) {
+        return '/' + relativePath.replace(/(^|\/)index\.html$/, '$1');
+    }
+
+    /**
+     * 页面是否不需要收录：匹配配置中的exclude，或页面声明了noindex
+     * SEO审计和站点爬取使用同一判断跳过这些页面
+     * @param {string[]} exclude - seo-config.json中的sitemap.exclude
+     */
+    static isExcludedPage(exclude, urlPath, html) {
+        return exclude.some(pattern => matchPath(pattern, urlPath)) ||
+            /<meta[^>]+name=["']robots["'][^>]+content=["'][^"']*noindex/i.test(html);
+    }
+}
+
+/**
+ * 路径匹配，支持*通配符
+ */
+function matchPath(pattern, urlPath) {
+    const regex = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${regex}$`).test(urlPath);
+}
+
+/**
+ * 读取HTML标签的属性值
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`, 'i'));
+    return match ? match[2] : null;
+}
+
+/**
+ * 常见爬虫名称的书写形式
+ */
+function capitalizeAgent(userAgent) {
+    const names = { googlebot: 'Googlebot', bingbot: 'Bingbot', baiduspider: 'Baiduspider' };
+    return names[userAgent] || userAgent;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--root':
+                options.root = path.resolve(argv[++i]);
+                break;
+            case '--config':
+                options.config = path.resolve(argv[++i]);
+                break;
+            case '--check':
+                options.check = true;
+                break;
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const generator = new SitemapGenerator(options);
+    const changed = generator.run(options.check);
+
+    if (options.check) {
+        if (changed.length > 0) {
+            console.error(`以下文件需要重新生成: ${changed.join(', ')}`);
+            process.exit(1);
+        }
+        console.log('sitemap.xml和robots.txt已是最新');
+    } else {
+        console.log(changed.length > 0 ? `已生成: ${changed.join(', ')}` : 'sitemap.xml和robots.txt无变化');
+    }
+}
+
+module.exports = SitemapGenerator;
@@ -0,0 +1,484 @@
+/**
+ * 命令行SEO审计
+ * 在jsdom中对本地HTML文件或目录运行SEOAnalyzer的分析和评分逻辑，
+ * 以JSON、Markdown或JUnit XML格式输出generateSEOReport()的报告结构，
+ * 任一页面总分低于阈值，或结构化数据、微数据存在错误级问题时以非零状态码退出，可用于提交前检查或CI
+ *
+ * 用法: node tools/seo-audit.js [目标文件或目录] [--format json|markdown|junit] [--threshold 60]
+ *                                [--out report.json] [--root .] [--base-url https://caojiebing.github.io/]
+ *                                [--crawl] [--max-pages 200]
+ * --crawl 从sitemap.xml和首页出发沿内部链接爬取整个站点，并输出站点级问题（见 tools/site-crawler.js）
+ * 每个页面还会用StructuredDataValidator校验JSON-LD、用MicrodataChecker检查微数据，问题分别列在报告的structuredData和microdata中
+ * 依赖: jsdom（package.json的devDependencies，先运行 npm install）
+ *
+ * 页面加载速度和Core Web Vitals需要真实浏览器，命令行审计不测量，性能评分只包含移动端和资源优化部分
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { withDomGlobals, requireSiteModule, loadSiteProfile, createAnalysisServices } = require('./dom-environment');
+const SiteCrawler = require('./site-crawler');
+const SitemapGenerator = require('./generate-sitemap');
+
+const ROOT = path.resolve(__dirname, '..');
+const IGNORED_DIRS = new Set(['node_modules', 'analytics-data', 'src']);
+const CATEGORIES = ['technical', 'content', 'semantic', 'local', 'social', 'performance'];
+const PAGE_VALIDATIONS = {
+    structuredData: '结构化数据',
+    microdata: '微数据'
+};
+const SITE_CHECKS = {
+    duplicateTitles: '重复的页面标题',
+    duplicateDescriptions: '重复的Meta描述',
+    orphanPages: '孤立页面',
+    brokenLinks: '失效的内部链接',
+    missingFromSitemap: '未收录到sitemap的页面',
+    sitemapNotFound: '返回404的sitemap条目'
+};
+
+class SEOAuditor {
+    constructor(options = {}) {
+        this.config = {
+            target: options.target || path.join(ROOT, 'index.html'),
+            root: options.root || null, // 站点根目录，用于检查robots.txt和sitemap.xml及计算页面URL
+            baseUrl: options.baseUrl || 'https://caojiebing.github.io/',
+            threshold: options.threshold !== undefined ? options.threshold : 60
+        };
+
+        if (!this.config.root) {
+            const isDirectory = fs.statSync(this.config.target).isDirectory();
+            this.config.root = isDirectory ? this.config.target : path.dirname(this.config.target);
+        }
+
+        // 审计的站点目录中没有个人资料时使用本仓库的资料
+        const hasProfile = fs.existsSync(path.join(this.config.root, 'assets/data/site-profile.json'));
+        this.profile = loadSiteProfile(hasProfile ? this.config.root : ROOT);
+
+        // 与sitemap一致，目录审计跳过配置中排除的页面和noindex页面
+        const seoConfig = path.join(this.config.root, 'assets/data/seo-config.json');
+        this.exclude = fs.existsSync(seoConfig)
+            ? JSON.parse(fs.readFileSync(seoConfig, 'utf8')).sitemap.exclude
+            : [];
+    }
+
+    /**
+     * 审计目标文件或目录下的所有HTML页面
+     */
+    async run() {
+        const pages = [];
+        // 页面依次审计：审计期间DOM全局对象挂载在global上，不能并行
+        for (const file of this.findPages(this.config.target)) {
+            pages.push(await this.auditFile(file));
+        }
+        const failing = pages.filter(page => !page.passed);
+        const average = pages.length > 0
+            ? Math.round(pages.reduce((sum, page) => sum + page.overall.score, 0) / pages.length)
+            : 0;
+
+        return {
+            timestamp: new Date().toISOString(),
+            threshold: this.config.threshold,
+            summary: {
+                pages: pages.length,
+                averageScore: average,
+                failing: failing.map(page => page.file),
+                passed: failing.length === 0
+            },
+            pages
+        };
+    }
+
+    /**
+     * 查找HTML文件，直接指定的文件即使不需要收录也会审计
+     */
+    findPages(target) {
+        if (!fs.statSync(target).isDirectory()) {
+            return [target];
+        }
+
+        return fs.readdirSync(target, { withFileTypes: true })
+            .filter(entry => !entry.name.startsWith('.') && !IGNORED_DIRS.has(entry.name))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .flatMap(entry => {
+                const fullPath = path.join(target, entry.name);
+                if (entry.isDirectory()) return this.findPages(fullPath);
+                return entry.name.endsWith('.html') && !this.isExcluded(fullPath) ? [fullPath] : [];
+            });
+    }
+
+    /**
+     * 页面是否不需要收录（seo-config.json的sitemap.exclude或noindex页面），这些页面不参与审计和评分
+     */
+    isExcluded(file) {
+        const relativePath = path.relative(this.config.root, file).split(path.sep).join('/');
+        return SitemapGenerator.isExcludedPage(
+            this.exclude,
+            SitemapGenerator.getUrlPath(relativePath),
+            fs.readFileSync(file, 'utf8')
+        );
+    }
+
+    /**
+     * 审计单个页面
+     */
+    async auditFile(file) {
+        const relativePath = path.relative(this.config.root, file).split(path.sep).join('/');
+        const dom = new JSDOM(fs.readFileSync(file, 'utf8'), { url: this.getPageUrl(relativePath) });
+        const result = await this.auditDocument(dom, relativePath);
+        dom.window.close();
+        return result;
+    }
+
+    /**
+     * 审计已加载的页面DOM
+     * @param {JSDOM} dom - 已加载的页面
+     * @param {string} relativePath - 页面相对站点根目录的路径
+     */
+    async auditDocument(dom, relativePath) {
+        const report = await withDomGlobals(dom.window, async () => {
+            const SEOAnalyzer = requireSiteModule('seo-analyzer.js');
+            // 浏览器端通过fetch读取robots.txt和sitemap.xml，命令行下直接读取站点目录中的文件
+            const analyzer = new SEOAnalyzer({
+                profile: this.profile,
+                ...createAnalysisServices(this.profile),
+                fetchText: url => this.readSiteFile(url)
+            });
+
+            await analyzer.analyzeTechnicalSEO();
+            analyzer.analyzeContentSEO();
+            analyzer.analyzeSemanticSEO();
+            analyzer.analyzeLocalSEO();
+            analyzer.analyzeSocialSEO();
+
+            // 只保留不依赖真实加载过程的静态性能检查
+            analyzer.seoData.performanceSEO = {
+                mobileOptimization: analyzer.analyzeMobileOptimization(),
+                technicalOptimization: analyzer.analyzeTechnicalOptimization()
+            };
+
+            const StructuredDataValidator = requireSiteModule('structured-data-validator.js');
+            const structuredData = new StructuredDataValidator({ baseUrl: dom.window.location.href, merge: false })
+                .validate(dom.window.document);
+
+            const MicrodataChecker = requireSiteModule('microdata-checker.js');
+            const microdata = new MicrodataChecker({ mode: 'report' }).check(dom.window.document);
+
+            return {
+                ...this.toPlainObject(analyzer.buildSEOReport()),
+                structuredData: { entities: structuredData.entities, issues: structuredData.issues },
+                // 问题中的fix引用了DOM元素，报告中只保留是否可自动修复
+                microdata: {
+                    items: microdata.items.length,
+                    issues: microdata.issues.map(({ fix, ...issue }) => ({ ...issue, fixable: Boolean(fix) }))
+                }
+            };
+        });
+
+        // 页面总分达到阈值且结构化数据、微数据没有错误级问题才算通过，与JUnit输出中的failure一致
+        const scorePassed = report.overall.score >= this.config.threshold;
+        const validationErrors = Object.keys(PAGE_VALIDATIONS)
+            .reduce((sum, validation) => sum + report[validation].issues.filter(issue => issue.severity === 'error').length, 0);
+
+        return {
+            file: relativePath,
+            passed: scorePassed && validationErrors === 0,
+            scorePassed,
+            validationErrors,
+            ...report
+        };
+    }
+
+    /**
+     * 根据页面在站点中的相对路径计算URL，index.html对应目录URL
+     */
+    getPageUrl(relativePath) {
+        const pagePath = relativePath.replace(/(^|\/)index\.html$/, '$1');
+        return new URL(pagePath, this.config.baseUrl).href;
+    }
+
+    /**
+     * 读取站点根目录中的文件，返回与fetch结果相同的结构
+     */
+    async readSiteFile(url) {
+        const file = path.join(this.config.root, new URL(url, this.config.baseUrl).pathname);
+        if (!fs.existsSync(file)) {
+            return { ok: false, status: 404, text: '' };
+        }
+        return { ok: true, status: 200, text: fs.readFileSync(file, 'utf8') };
+    }
+
+    /**
+     * 把报告转换为可序列化的普通对象（NodeList只保留数量）
+     */
+    toPlainObject(report) {
+        return JSON.parse(JSON.stringify(report, (key, value) => {
+            if (value && typeof value === 'object' && typeof value.item === 'function' && typeof value.length === 'number') {
+                return value.length;
+            }
+            return value;
+        }));
+    }
+
+    /**
+     * 站点级问题的单行描述
+     */
+    static describeSiteIssue(issue) {
+        if (typeof issue === 'string') return issue;
+        if (issue.pages) return `"${issue.value}": ${issue.pages.join(', ')}`;
+        return `${issue.source} -> ${issue.href}（${issue.reason === 'missing_anchor' ? '锚点不存在' : '页面不存在'}）`;
+    }
+
+    /**
+     * 结构化数据和微数据问题的单行描述
+     */
+    static describeValidationIssue(issue) {
+        const target = issue.property ? `${issue.entity}.${issue.property}` : issue.entity;
+        return `[${issue.severity}] ${target}: ${issue.message}（${issue.source}）`;
+    }
+
+    /**
+     * 格式化审计结果
+     */
+    static format(result, format) {
+        switch (format) {
+            case 'markdown':
+                return SEOAuditor.formatMarkdown(result);
+            case 'junit':
+                return SEOAuditor.formatJUnit(result);
+            default:
+                return JSON.stringify(result, null, 2) + '\n';
+        }
+    }
+
+    /**
+     * Markdown格式
+     */
+    static formatMarkdown(result) {
+        const lines = [
+            '# SEO审计报告',
+            '',
+            `- 审计时间: ${result.timestamp}`,
+            `- 页面数: ${result.summary.pages}`,
+            `- 平均分: ${result.summary.averageScore}/100`,
+            `- 阈值: ${result.threshold}`,
+            `- 结果: ${result.summary.passed ? '通过' : `未通过（${result.summary.failing.join(', ') || '站点级问题'}）`}`,
+            ''
+        ];
+
+        if (result.site) {
+            lines.push('## 站点级问题');
+            lines.push('');
+            Object.entries(SITE_CHECKS).forEach(([check, title]) => {
+                const issues = result.site[check];
+                lines.push(`### ${title}（${issues.length}）`);
+                lines.push('');
+                issues.forEach(issue => lines.push(`- ${SEOAuditor.describeSiteIssue(issue)}`));
+                if (issues.length > 0) lines.push('');
+            });
+        }
+
+        result.pages.forEach(page => {
+            lines.push(`## ${page.file} — ${page.overall.score}/100 ${page.passed ? '✅' : '❌'}`);
+            lines.push('');
+            lines.push('| 分类 | 评分 |');
+            lines.push('| --- | --- |');
+            CATEGORIES.forEach(category => {
+                lines.push(`| ${category} | ${Math.round(page.overall[category])} |`);
+            });
+            lines.push('');
+
+            if (page.recommendations.length > 0) {
+                lines.push('### 优化建议');
+                lines.push('');
+                page.recommendations.forEach(rec => {
+                    lines.push(`- **[${rec.priority}] ${rec.title}**: ${rec.description}`);
+                });
+                lines.push('');
+            }
+
+            Object.entries(PAGE_VALIDATIONS).forEach(([validation, title]) => {
+                const { issues } = page[validation];
+                if (issues.length === 0) return;
+
+                lines.push(`### ${title}问题（${issues.length}）`);
+                lines.push('');
+                issues.forEach(issue => lines.push(`- ${SEOAuditor.describeValidationIssue(issue)}`));
+                lines.push('');
+            });
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * JUnit XML格式：每个页面一个testsuite，总分低于阈值时overall用例失败，
+     * 结构化数据和微数据存在error级问题时对应用例失败，warning只写入system-out
+     */
+    static formatJUnit(result) {
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const categories = CATEGORIES;
+        let failures = 0;
+        const validations = Object.entries(PAGE_VALIDATIONS);
+        let tests = result.pages.length * (categories.length + 1 + validations.length);
+
+        const suites = result.pages.map(page => {
+            const classname = `seo.${page.file}`;
+            const recommendations = page.recommendations
+                .map(rec => `[${rec.priority}] ${rec.title}: ${rec.description}`)
+                .join('\n');
+
+            const overall = [
+                `    <testcase classname="${escape(classname)}" name="overall">`,
+                page.scorePassed ? '' : `      <failure message="${escape(`SEO总分 ${page.overall.score} 低于阈值 ${result.threshold}`)}" type="threshold"/>`,
+                recommendations ? `      <system-out>${escape(recommendations)}</system-out>` : '',
+                '    </testcase>'
+            ].filter(Boolean);
+
+            const categoryCases = categories.map(category => [
+                `    <testcase classname="${escape(classname)}" name="${category}">`,
+                `      <system-out>${Math.round(page.overall[category])}/100</system-out>`,
+                '    </testcase>'
+            ].join('\n'));
+
+            let pageFailures = page.scorePassed ? 0 : 1;
+            const validationCases = validations.map(([validation, title]) => {
+                const { issues } = page[validation];
+                const errors = issues.filter(issue => issue.severity === 'error');
+                const warnings = issues.filter(issue => issue.severity !== 'error');
+                if (errors.length > 0) pageFailures++;
+
+                return [
+                    `    <testcase classname="${escape(classname)}" name="${validation}">`,
+                    errors.length > 0
+                        ? `      <failure message="${escape(`${title}错误: ${errors.length}`)}" type="${validation}">${escape(errors.map(SEOAuditor.describeValidationIssue).join('\n'))}</failure>`
+                        : '',
+                    warnings.length > 0
+                        ? `      <system-out>${escape(warnings.map(SEOAuditor.describeValidationIssue).join('\n'))}</system-out>`
+                        : '',
+                    '    </testcase>'
+                ].filter(Boolean).join('\n');
+            });
+            failures += pageFailures;
+
+            return [
+                `  <testsuite name="${escape(page.file)}" tests="${categories.length + 1 + validations.length}" failures="${pageFailures}" timestamp="${result.timestamp}">`,
+                ...overall,
+                ...categoryCases,
+                ...validationCases,
+                '  </testsuite>'
+            ].join('\n');
+        });
+
+        if (result.site) {
+            const checks = Object.entries(SITE_CHECKS);
+            const siteFailures = checks.filter(([check]) => result.site[check].length > 0).length;
+            tests += checks.length;
+            failures += siteFailures;
+
+            suites.unshift([
+                `  <testsuite name="site" tests="${checks.length}" failures="${siteFailures}" timestamp="${result.timestamp}">`,
+                ...checks.map(([check, title]) => {
+                    const issues = result.site[check];
+                    return [
+                        `    <testcase classname="seo.site" name="${check}">`,
+                        issues.length > 0
+                            ? `      <failure message="${escape(`${title}: ${issues.length}`)}" type="site">${escape(issues.map(SEOAuditor.describeSiteIssue).join('\n'))}</failure>`
+                            : '',
+                        '    </testcase>'
+                    ].filter(Boolean).join('\n');
+                }),
+                '  </testsuite>'
+            ].join('\n'));
+        }
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="seo-audit" tests="${tests}" failures="${failures}">`,
+            ...suites,
+            '</testsuites>',
+            ''
+        ].join('\n');
+    }
+}
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const options = { format: 'json' };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--format':
+                options.format = argv[++i];
+                break;
+            case '--threshold':
+                options.threshold = parseFloat(argv[++i]);
+                break;
+            case '--out':
+                options.out = path.resolve(argv[++i]);
+                break;
+            case '--root':
+                options.root = path.resolve(argv[++i]);
+                break;
+            case '--base-url':
+                options.baseUrl = argv[++i];
+                break;
+            case '--crawl':
+                options.crawl = true;
+                break;
+            case '--max-pages':
+                options.maxPages = parseInt(argv[++i], 10);
+                break;
+            default:
+                options.target = path.resolve(argv[i]);
+        }
+    }
+    return options;
+}
+
+/**
+ * 命令行入口
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!['json', 'markdown', 'junit'].includes(options.format)) {
+        console.error(`不支持的输出格式: ${options.format}`);
+        process.exit(2);
+    }
+    if (options.target && !fs.existsSync(options.target)) {
+        console.error(`审计目标不存在: ${options.target}`);
+        process.exit(2);
+    }
+
+    const auditor = new SEOAuditor(options);
+    const result = options.crawl ? await new SiteCrawler(auditor, options).run() : await auditor.run();
+    const output = SEOAuditor.format(result, options.format);
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.error(`审计报告已写入: ${options.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    console.error(`SEO审计: ${result.summary.pages} 个页面，平均分 ${result.summary.averageScore}，阈值 ${result.threshold}`);
+    if (result.site) {
+        console.error(`站点级问题: ${result.summary.siteIssues} 个`);
+    }
+    process.exitCode = result.summary.passed ? 0 : 1;
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('SEO审计失败:', error);
+        process.exit(2);
+    });
+}
+
+module.exports = SEOAuditor;
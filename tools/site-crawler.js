@@ -0,0 +1,255 @@
+/**
+ * 多页面站点爬取
+ * 从sitemap.xml和站点根页面出发，沿内部链接爬取本地站点目录中的页面，
+ * 对每个页面运行SEO审计，并汇总站点级问题：
+ * 重复的标题/描述、孤立页面、失效的内部链接、未收录到sitemap的页面、返回404的sitemap条目
+ *
+ * 由 tools/seo-audit.js --crawl 调用，URL按 --base-url 映射到 --root 目录下的文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+class SiteCrawler {
+    /**
+     * @param {SEOAuditor} auditor - 用于审计单个页面的审计器，共享根目录、基础URL和阈值配置
+     * @param {Object} options - 爬取配置
+     */
+    constructor(auditor, options = {}) {
+        this.auditor = auditor;
+        this.config = {
+            root: this.auditor.config.root,
+            baseUrl: this.auditor.config.baseUrl,
+            threshold: this.auditor.config.threshold,
+            maxPages: options.maxPages || 200
+        };
+
+        this.origin = new URL(this.config.baseUrl).origin;
+        this.pages = new Map(); // 页面URL -> 审计结果
+        this.inbound = new Map(); // 页面URL -> 链接到它的页面集合
+        this.anchors = new Map(); // 页面URL -> 页面中的id集合
+        this.links = []; // { source, href, page, fragment, internal }
+        this.missing = new Set(); // 不存在的页面URL
+    }
+
+    /**
+     * 执行爬取并生成站点报告
+     */
+    async run() {
+        const sitemapUrls = this.readSitemap();
+        const sitemapPages = new Set(sitemapUrls.map(url => this.normalizeUrl(url).page));
+        const startUrl = this.normalizeUrl(this.config.baseUrl).page;
+
+        const queue = [startUrl, ...sitemapPages];
+        const queued = new Set(queue);
+
+        while (queue.length > 0 && this.pages.size < this.config.maxPages) {
+            const url = queue.shift();
+            const links = await this.crawlPage(url);
+            links.forEach(link => {
+                if (!queued.has(link) && this.isHtmlUrl(link)) {
+                    queued.add(link);
+                    queue.push(link);
+                }
+            });
+        }
+
+        if (queue.length > 0) {
+            console.warn(`已达到最大页面数 ${this.config.maxPages}，剩余 ${queue.length} 个页面未爬取`);
+        }
+
+        const pages = Array.from(this.pages.values());
+        const site = {
+            duplicateTitles: this.findDuplicates(pages, page => page.technical.metaTags.tags.title),
+            duplicateDescriptions: this.findDuplicates(pages, page => page.technical.metaTags.tags.description),
+            orphanPages: this.findOrphanPages(startUrl),
+            brokenLinks: this.findBrokenLinks(),
+            missingFromSitemap: Array.from(this.pages.keys()).filter(url => !sitemapPages.has(url)),
+            sitemapNotFound: sitemapUrls.filter(url => !this.resolveTarget(this.normalizeUrl(url)).ok)
+        };
+
+        const failing = pages.filter(page => !page.passed);
+        const siteIssues = Object.values(site).reduce((sum, issues) => sum + issues.length, 0);
+
+        return {
+            timestamp: new Date().toISOString(),
+            threshold: this.config.threshold,
+            summary: {
+                pages: pages.length,
+                averageScore: pages.length > 0
+                    ? Math.round(pages.reduce((sum, page) => sum + page.overall.score, 0) / pages.length)
+                    : 0,
+                failing: failing.map(page => page.file),
+                siteIssues,
+                passed: failing.length === 0 && siteIssues === 0
+            },
+            site,
+            pages
+        };
+    }
+
+    /**
+     * 爬取单个页面，返回页面中的内部页面链接
+     */
+    async crawlPage(url) {
+        const file = this.urlToFile(url);
+        if (!file || !fs.existsSync(file)) {
+            this.missing.add(url);
+            return [];
+        }
+        // 不需要收录的页面（如离线页面）不审计，也不沿其中的链接继续爬取
+        if (this.auditor.isExcluded(file)) {
+            return [];
+        }
+
+        const relativePath = path.relative(this.config.root, file).split(path.sep).join('/');
+        const dom = new JSDOM(fs.readFileSync(file, 'utf8'), { url });
+        const { document } = dom.window;
+
+        this.pages.set(url, { url, ...await this.auditor.auditDocument(dom, relativePath) });
+        this.anchors.set(url, new Set(Array.from(document.querySelectorAll('[id]')).map(element => element.id)));
+
+        const found = new Set();
+        document.querySelectorAll('a[href]').forEach(anchor => {
+            const href = anchor.getAttribute('href');
+            if (/^(mailto|tel|javascript|data):/i.test(href)) return;
+
+            let target;
+            try {
+                target = this.normalizeUrl(new URL(href, url).href);
+            } catch (e) {
+                return;
+            }
+            if (!target.internal) return;
+
+            this.links.push({ source: url, href, ...target });
+            if (target.page !== url) {
+                if (!this.inbound.has(target.page)) this.inbound.set(target.page, new Set());
+                this.inbound.get(target.page).add(url);
+            }
+            found.add(target.page);
+        });
+
+        dom.window.close();
+        return Array.from(found);
+    }
+
+    /**
+     * 读取sitemap.xml中的URL
+     */
+    readSitemap() {
+        const file = path.join(this.config.root, 'sitemap.xml');
+        if (!fs.existsSync(file)) return [];
+
+        const dom = new JSDOM(fs.readFileSync(file, 'utf8'), { contentType: 'text/xml' });
+        const urls = Array.from(dom.window.document.getElementsByTagName('loc'))
+            .map(loc => loc.textContent.trim())
+            .filter(Boolean);
+        dom.window.close();
+        return urls;
+    }
+
+    /**
+     * 规范化URL：去掉片段和查询参数得到页面URL，index.html与目录URL视为同一页面
+     */
+    normalizeUrl(href) {
+        const url = new URL(href, this.config.baseUrl);
+        const fragment = decodeURIComponent(url.hash.slice(1));
+        url.hash = '';
+        url.search = '';
+        url.pathname = url.pathname.replace(/\/index\.html$/, '/');
+
+        return {
+            page: url.href,
+            fragment,
+            internal: url.origin === this.origin
+        };
+    }
+
+    /**
+     * 把站点URL映射到根目录下的文件，越出根目录时返回null
+     */
+    urlToFile(url) {
+        let pathname = decodeURIComponent(new URL(url).pathname);
+        if (pathname.endsWith('/')) pathname += 'index.html';
+
+        const root = path.resolve(this.config.root);
+        const file = path.resolve(root, '.' + pathname);
+        return file.startsWith(root + path.sep) ? file : null;
+    }
+
+    /**
+     * 判断URL是否指向需要爬取的HTML页面
+     */
+    isHtmlUrl(url) {
+        const pathname = new URL(url).pathname;
+        return pathname.endsWith('/') || pathname.endsWith('.html');
+    }
+
+    /**
+     * 检查链接目标：文件存在，且片段（如有）在页面中有对应id
+     */
+    resolveTarget(target) {
+        const file = this.urlToFile(target.page);
+        if (!file || !fs.existsSync(file)) {
+            return { ok: false, reason: 'not_found' };
+        }
+        if (target.fragment && this.anchors.has(target.page) && !this.anchors.get(target.page).has(target.fragment)) {
+            return { ok: false, reason: 'missing_anchor' };
+        }
+        return { ok: true };
+    }
+
+    /**
+     * 查找失效的内部链接
+     */
+    findBrokenLinks() {
+        const broken = new Map();
+        this.links.forEach(link => {
+            const key = `${link.source} ${link.href}`;
+            if (broken.has(key)) return;
+
+            const result = this.resolveTarget(link);
+            if (!result.ok) {
+                broken.set(key, { source: link.source, href: link.href, reason: result.reason });
+            }
+        });
+        return Array.from(broken.values());
+    }
+
+    /**
+     * 查找孤立页面：站点目录中存在、但没有其他页面链接到的HTML页面（首页和不需要收录的页面除外）
+     */
+    findOrphanPages(startUrl) {
+        const known = new Set(this.pages.keys());
+        this.auditor.findPages(this.config.root).forEach(file => {
+            const relativePath = path.relative(this.config.root, file).split(path.sep).join('/');
+            known.add(this.normalizeUrl(relativePath).page);
+        });
+
+        return Array.from(known)
+            .filter(url => url !== startUrl && !this.missing.has(url))
+            .filter(url => !this.inbound.has(url) || this.inbound.get(url).size === 0)
+            .sort();
+    }
+
+    /**
+     * 按取值分组，返回出现在多个页面中的取值
+     */
+    findDuplicates(pages, getValue) {
+        const groups = new Map();
+        pages.forEach(page => {
+            const value = (getValue(page) || '').trim();
+            if (!value) return;
+            if (!groups.has(value)) groups.set(value, []);
+            groups.get(value).push(page.url);
+        });
+
+        return Array.from(groups.entries())
+            .filter(([, urls]) => urls.length > 1)
+            .map(([value, urls]) => ({ value, pages: urls }));
+    }
+}
+
+module.exports = SiteCrawler;
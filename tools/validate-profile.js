@@ -0,0 +1,48 @@
+/**
+ * 站点资料校验
+ * 检查 assets/data/site-profile.json 与页面可见内容、meta标签、社交分享标签和已有JSON-LD是否一致，
+ * 发现冲突时以非零状态退出，可在构建或提交前运行
+ *
+ * 用法: node tools/validate-profile.js [页面文件...]（默认 index.html）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { withDomGlobals, loadSiteProfile } = require('./dom-environment');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * 校验单个页面
+ * @returns {Array} 冲突列表
+ */
+function validatePage(profile, file) {
+    // 使用站点URL作为页面地址，否则jsdom使用不透明源，访问localStorage会抛出SecurityError
+    const dom = new JSDOM(fs.readFileSync(file, 'utf8'), { url: profile.data.site.url });
+    try {
+        return withDomGlobals(dom.window, () => profile.validate(dom.window.document));
+    } finally {
+        dom.window.close();
+    }
+}
+
+if (require.main === module) {
+    const files = process.argv.slice(2).map(file => path.resolve(file));
+    const profile = loadSiteProfile();
+    let total = 0;
+
+    (files.length > 0 ? files : [path.join(ROOT, 'index.html')]).forEach(file => {
+        const conflicts = validatePage(profile, file);
+        total += conflicts.length;
+
+        console.log(`${path.relative(ROOT, file)}: ${conflicts.length === 0 ? '与站点资料一致' : `${conflicts.length} 处冲突`}`);
+        conflicts.forEach(conflict => {
+            console.log(`  ${conflict.field}: 资料为 "${conflict.expected}"，${conflict.source}为 "${conflict.actual}"`);
+        });
+    });
+
+    process.exit(total > 0 ? 1 : 0);
+}
+
+module.exports = { validatePage };